@@ -0,0 +1,20 @@
+// Client side of the background worker's API channel (see background.js).
+// Shared by the content script and the options page.
+const API_MESSAGE_TYPE = "fplxg:api";
+
+// GET an FPL API path (e.g. "/fixtures/") as JSON through the background worker.
+// Throws on HTTP errors; the error carries `status`.
+async function requestApiJson(path, options = {}) {
+  const response = await chrome.runtime.sendMessage({
+    type: API_MESSAGE_TYPE,
+    path,
+    credentials: options.credentials === "include" ? "include" : undefined
+  });
+  if (!response || !response.ok) {
+    const status = Number(response?.status) || 0;
+    const err = new Error(`${path} failed: HTTP ${status}`);
+    err.status = status;
+    throw err;
+  }
+  return response.data;
+}
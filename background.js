@@ -0,0 +1,133 @@
+// MV3 service worker that owns all fantasy.premierleague.com/api traffic.
+// Content scripts and the options page send { type: "fplxg:api", path, credentials }
+// and get back { ok, status, data }. Persistent caching stays in the content
+// script's IndexedDB (shared by every FPL tab); this worker adds a global rate
+// limit, retries with backoff and coalescing of identical in-flight requests.
+const BASE = "https://fantasy.premierleague.com/api";
+const API_MESSAGE_TYPE = "fplxg:api";
+const API_MAX_CONCURRENT = 4;
+const API_MIN_INTERVAL_MS = 120; // spacing between request starts, across all tabs
+const API_MAX_ATTEMPTS = 4;
+const API_BACKOFF_BASE_MS = 1000;
+const API_BACKOFF_MAX_MS = 20000;
+
+const inFlight = new Map(); // `${credentials}:${path}` -> Promise<{ ok, status, data }>
+const slotQueue = []; // resolvers waiting for a request slot
+let activeRequests = 0;
+let lastStartAt = 0;
+let pausedUntil = 0; // set on HTTP 429 so every queued request backs off together
+let pumpTimer = null;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function pumpSlots() {
+  if (pumpTimer) return;
+  while (slotQueue.length > 0 && activeRequests < API_MAX_CONCURRENT) {
+    const now = Date.now();
+    const waitMs = Math.max(pausedUntil - now, lastStartAt + API_MIN_INTERVAL_MS - now);
+    if (waitMs > 0) {
+      pumpTimer = setTimeout(() => {
+        pumpTimer = null;
+        pumpSlots();
+      }, waitMs);
+      return;
+    }
+    activeRequests += 1;
+    lastStartAt = now;
+    slotQueue.shift()();
+  }
+}
+
+function acquireSlot() {
+  return new Promise((resolve) => {
+    slotQueue.push(resolve);
+    pumpSlots();
+  });
+}
+
+function releaseSlot() {
+  activeRequests = Math.max(0, activeRequests - 1);
+  pumpSlots();
+}
+
+function backoffDelayMs(attempt, res) {
+  const retryAfter = Number(res?.headers?.get("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(API_BACKOFF_MAX_MS, retryAfter * 1000);
+  }
+  const exp = API_BACKOFF_BASE_MS * (2 ** (attempt - 1));
+  const jitter = Math.random() * API_BACKOFF_BASE_MS;
+  return Math.min(API_BACKOFF_MAX_MS, exp + jitter);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+async function fetchWithRetry(path, credentials) {
+  let lastStatus = 0;
+  for (let attempt = 1; attempt <= API_MAX_ATTEMPTS; attempt += 1) {
+    await acquireSlot();
+    let res = null;
+    let data;
+    try {
+      res = await fetch(`${BASE}${path}`, credentials ? { credentials } : undefined);
+      if (res.ok) data = await res.json();
+    } catch (_) {
+      res = null; // network error: retry like a 5xx
+    } finally {
+      releaseSlot();
+    }
+
+    if (res && res.ok) return { ok: true, status: res.status, data };
+
+    lastStatus = res ? res.status : 0;
+    if (res && !isRetryableStatus(res.status)) break;
+    if (attempt === API_MAX_ATTEMPTS) break;
+
+    const delay = backoffDelayMs(attempt, res);
+    if (lastStatus === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    await sleep(delay);
+  }
+  return { ok: false, status: lastStatus, data: null };
+}
+
+function isAllowedApiPath(path) {
+  if (typeof path !== "string" || !path.startsWith("/")) return false;
+  try {
+    const url = new URL(`${BASE}${path}`);
+    return url.origin === new URL(BASE).origin && url.pathname.startsWith("/api/");
+  } catch (_) {
+    return false;
+  }
+}
+
+function requestApi(path, credentials) {
+  const key = `${credentials || "default"}:${path}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const p = fetchWithRetry(path, credentials).finally(() => {
+    inFlight.delete(key);
+  });
+  inFlight.set(key, p);
+  return p;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== API_MESSAGE_TYPE) return false;
+  if (!isAllowedApiPath(message.path)) {
+    sendResponse({ ok: false, status: 400, data: null });
+    return false;
+  }
+
+  const credentials = message.credentials === "include" ? "include" : undefined;
+  requestApi(message.path, credentials)
+    .then(sendResponse)
+    .catch((e) => {
+      console.error("requestApi failed", message.path, e);
+      sendResponse({ ok: false, status: 0, data: null });
+    });
+  return true; // keep the channel open for the async response
+});
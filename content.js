@@ -1,34 +1,135 @@
-const BASE = "https://fantasy.premierleague.com/api";
 const DEBUG = true;
 const FALLBACK_SCAN_MIN_INTERVAL_MS = 2500;
 const SCHEDULE_DELAY_MS = 200;
 const MAX_FALLBACK_TARGETS = 120;
 const CAPTAIN_FETCH_CONCURRENCY = 6;
-const LEAGUE_EO_ID = 244800;
-const LEAGUE_EO_RIVALS_LIMIT = Number.POSITIVE_INFINITY;
+const LEAGUE_EO_RIVALS_LIMIT = 50; // top of the table only: every rival costs a picks request per GW
 const NAME_SELECTORS = '[data-testid="player-name"], [data-testid="pitch-element-player-name"], .PitchElementData__Name, .PitchElement__Name, [class*="PitchElementData__Name"], [class*="PitchElement__Name"]';
 const MY_FT_CACHE_KEY = "fplxg_my_free_transfers_v1";
-// Temporary pragmatic escape hatch for your own row when upstream FT sources are unreliable.
-// Set to a number (0-5) to force Remaining FT for your own entry, or keep null.
-const MANUAL_MY_REMAINING_FT = 2;
+// Persistent (IndexedDB) cache lifetimes per endpoint; see getApiCacheTtlMs.
+const API_CACHE_TTL_MS = {
+  live: 3 * 60 * 1000,            // anything that moves while a GW is being played
+  bootstrap: 10 * 60 * 1000,
+  fixtures: 30 * 60 * 1000,
+  elementSummary: 6 * 60 * 60 * 1000,
+  entryHistory: 60 * 60 * 1000,
+  standings: 5 * 60 * 1000,
+  lockedPicks: 60 * 60 * 1000     // picks after the deadline only change when auto-subs are processed
+};
+// Free-transfer sources for your own entry, most trustworthy first (rank 1 wins).
+// The resolver takes the best-ranked source that has a fresh value; rivals only have "calc".
+const FT_SOURCES = [
+  { key: "manual", label: "manual", rank: 1 },
+  { key: "myTeamNext", label: "API next GW", rank: 2 },
+  { key: "myTeamCurrent", label: "API", rank: 3 },
+  { key: "transfersPage", label: "transfers page", rank: 4 },
+  { key: "localStorage", label: "saved", rank: 5 },
+  { key: "calc", label: "calc", rank: 6 }
+];
+// Free-transfer rules per season, keyed by the year the season starts in.
+// topUps raise everyone's FT at the start of a GW (e.g. the AFCON top-up before GW16 in 2025/26).
+const FT_DEFAULT_SEASON_RULES = { maxBanked: 5, perGw: 1, hitCost: 4, topUps: [] };
+const FT_SEASON_RULES = {
+  2024: { maxBanked: 5 },
+  2025: { maxBanked: 5, topUps: [{ event: 16, setTo: 5, reason: "AFCON top-up to 5 FT" }] }
+};
 const LEAGUE_DATAPOINTS = [
   { key: "captain", label: "C" },
   { key: "viceCaptain", label: "VC" },
   { key: "chip", label: "Chip" },
   { key: "transferCost", label: "Transfer Cost" },
   { key: "transfersMade", label: "Transfers" },
-  { key: "remainingTransfers", label: "Remaining FT (calc)" }
+  { key: "remainingTransfers", label: "Remaining FT", sourceKey: "remainingTransfersSource" },
+  { key: "teamValue", label: "TV" },
+  { key: "bankText", label: "ITB" },
+  { key: "sellValue", label: "Sell" }
+];
+const SHOW_FT_DEBUG = false;
+const LIVE_POLL_INTERVAL_MS = 60 * 1000;
+const LIVE_MAX_IDLE_WAIT_MS = 30 * 60 * 1000; // longest sleep between fixtures before re-checking
+const LIVE_BONUS_POINTS = [3, 2, 1];
+const BOOTSTRAP_REFRESH_MAX_WAIT_MS = 24 * 60 * 60 * 1000; // also keeps setTimeout under its 24.8-day limit
+const CAPTAIN_PICKER_CANDIDATES = 5;
+const CAPTAIN_HAUL_POINTS = 12; // scenario returns used for captaincy risk/upside
+const CAPTAIN_BLANK_POINTS = 2;
+const PLANNER_DEFAULT_HORIZON = 5;
+const PLANNER_MAX_HORIZON = 8;
+const MAX_PLAYERS_PER_TEAM = 3;
+const PROJECTION_FDR_FACTOR = { 1: 1.2, 2: 1.1, 3: 1, 4: 0.9, 5: 0.8 };
+const PROJECTION_POINTS = {
+  appearance: 2,
+  assist: 3,
+  goal: { 1: 6, 2: 6, 3: 5, 4: 4 },
+  cleanSheet: { 1: 4, 2: 4, 3: 1, 4: 0 }
+};
+const TEAM_STRENGTH_PRIOR_GAMES = 4; // pseudo-matches of league-average form mixed into each team's rating
+const TEAM_XG_EVENTS = 10; // recent finished GWs whose live data supplies team xG; older fixtures use goals
+const CUSTOM_FDR_BANDS = [1.35, 1.1, 0.9, 0.72]; // expected-goal ratio at or above each limit -> FDR 1..4, else 5
+const COMPARE_COLORS = ["#60a5fa", "#f97316"];
+const COMPARE_UPCOMING_GWS = 8;
+const COMPARE_METRICS = [ // keys of loadPlayerData().matches rows
+  { key: "minutes", label: "Minutes", perNinety: false, minMax: 90 },
+  { key: "xG", label: "xG", perNinety: true },
+  { key: "xA", label: "xA", perNinety: true },
+  { key: "xGC", label: "xGC", perNinety: true },
+  { key: "cs", label: "Clean sheets", perNinety: false },
+  { key: "dc", label: "Def. contributions", perNinety: true, minMax: 10 },
+  { key: "saves", label: "Saves", perNinety: true },
+  { key: "bonus", label: "Bonus", perNinety: false, minMax: 3 },
+  { key: "points", label: "Points", perNinety: false }
 ];
-const SHOW_FT_DEBUG = true;
+const FORM_EWMA_HALF_LIFE = 3; // matches; weight halves every 3 matches back in ewma mode
+const PALETTE_MAX_RESULTS = 12;
+const WATCHLIST_FIXTURES = 3;
+const PRICE_STORAGE_KEY = "fplxg_price_history_v1"; // chrome.storage.local
+const PRICE_SNAPSHOT_MIN_INTERVAL_MS = 20 * 60 * 1000;
+const PRICE_SNAPSHOT_MAX = 72;
+const PRICE_CHANGE_LOG_MAX = 10; // per player
+// FPL moves prices around 01:30 UK time; 01:30 UTC matches in winter and is an hour late
+// during BST, so refreshes never land before the update.
+const PRICE_UPDATE_UTC_HOUR = 1;
+const PRICE_UPDATE_UTC_MINUTE = 30;
+const PRICE_REFRESH_DELAY_MS = 15 * 60 * 1000; // bootstrap reload after the price update
+const PRICE_RISE_SHARE = 0.04; // net transfers in as a share of owners that usually triggers a rise
+const PRICE_FALL_SHARE = 0.03;
+const PRICE_WATCH_ROWS = 10;
+const FIXTURE_WARNING_LOOKAHEAD = 3; // GWs checked for blanks/doubles among my starters
+const TICKER_WINDOWS = [3, 5, 6, 8, 10];
+// Chip windows [name, firstEvent, lastEvent] for seasons whose bootstrap has no `chips` list.
+// From 2025/26 every chip comes twice, once per half.
+const CHIP_DEFAULT_WINDOWS = ["wildcard", "freehit", "bboost", "3xc"].flatMap((name) => [[name, 1, 19], [name, 20, 38]]);
+const CHIP_SEASON_WINDOWS = {
+  2024: [["wildcard", 2, 20], ["wildcard", 21, 38], ["freehit", 2, 38], ["bboost", 1, 38], ["3xc", 1, 38], ["manager", 24, 38]]
+};
+const CHIP_PLANNER_HORIZON = 8;
+const CHIP_PLANNER_RIVAL_ROWS = 20;
+const CHIP_NOTABLE_TEAMS = 4; // doubling/blanking teams that make a GW a likely chip week
+const CHIP_EXPIRY_WARNING_GWS = 2;
+const TICKER_BLANK_DIFFICULTY = 6;
+const POSITION_SHORT = { 1: "GKP", 2: "DEF", 3: "MID", 4: "FWD" };
+// Starting XI limits per element_type (GK, DEF, MID, FWD) that auto-subs must respect.
+const FORMATION_LIMITS = {
+  1: { min: 1, max: 1 },
+  2: { min: 3, max: 5 },
+  3: { min: 2, max: 5 },
+  4: { min: 1, max: 3 }
+};
 
-let playerMap = {}; // web_name -> { id, element_type }
-let playerById = {}; // id -> { web_name, element_type, team, ep_next, ep_this, form, now_cost }
+let playerMap = {}; // normalized name -> [{ id, element_type, team }] (see normalizePlayerName)
+let playerIdByCode = new Map(); // photo code -> player id
+let teamIdByCode = new Map(); // team code (shirt/badge images) -> team id
+let playerById = {}; // id -> { web_name, element_type, team, ep_next, ep_this, form, now_cost, status, chance_next, cost_change_event, transfers_in_event, transfers_out_event, selected_by_percent, cost_change_start }
 let teamById = {}; // id -> { short_name, name }
-let cache = {};     // `${id}:${eventId|na}` -> { games, cs5, hasDC, dc10Matches5, savePoints5, xgcPerMatch5, hasXGC, xgi90, currentGwXgi, hasCurrentGwXgi, currentGwDc, hasCurrentGwDc, currentGwSaves, currentGwXgc }
+let cache = {};     // `${id}:${eventId|na}:${formKey}` -> { formGames, formLabel, csForm, hasDC, dc10Form, savePointsForm, xgcPerMatch, hasXGC, xgi90, currentGwXgi, hasCurrentGwXgi, currentGwDc, hasCurrentGwDc, currentGwSaves, currentGwXgc, matches }
 let currentEventId = null;
 let nextEventId = null;
-let fixturesByTeam = new Map(); // teamId -> [{ oppShort, isHome, difficulty, event, kickoff }]
+let eventDeadlineById = new Map(); // eventId -> deadline timestamp (ms)
+let seasonStartYear = null; // e.g. 2025 for 2025/26, from the GW1 deadline
+let eventStatusById = new Map(); // eventId -> { finished, dataChecked, isCurrent }
+let fixturesByTeam = new Map(); // teamId -> [{ oppShort, isHome, difficulty, attackDifficulty, defenceDifficulty, event, kickoff }]
+let teamStrengthById = new Map(); // teamId -> { attack, defence, games } relative to league average
 let fixturesLoaded = false;
+let fixturesLoadSeq = 0;
 const pendingByContainer = new WeakMap(); // container -> Set(playerId)
 const lastFallbackSuccessByView = new Map(); // viewId -> timestamp
 const leagueDataCache = new Map(); // `${entryId}:${eventId}` -> entry league data
@@ -37,24 +138,45 @@ const entryHistoryCache = new Map(); // entryId -> entry history payload
 const entryHistoryPending = new Map(); // entryId -> Promise<object|null>
 const entryTransfersCache = new Map(); // entryId -> transfers array
 const entryTransfersPending = new Map(); // entryId -> Promise<array>
-const leagueEoCache = new Map(); // eventId -> { eoByPlayerId: Map<number, number>, rivalsCount: number }
-const leagueEoPending = new Map(); // eventId -> Promise<{ eoByPlayerId, rivalsCount }>
+const rivalPicksCache = new Map(); // `${leagueId}:${eventId}` -> { eventId, leagueId, rivals: Map<entryId, { name, picks, chip }> }
+const rivalPicksPending = new Map(); // `${leagueId}:${eventId}` -> Promise<rival picks>
 let myEntryId = null;
 let myEntryIdPending = null; // Promise<number|null>
-let myTeamTransfersCache = null; // { limit, made } | null
-let myTeamTransfersPending = null; // Promise<{ limit, made } | null>
+let myTeamTransfersCache = null; // { [eventId|default]: { limit, made, remaining } | null } | null
+const myTeamTransfersPending = new Map(); // eventId|default -> Promise<{ limit, made, remaining } | null>
+let transferPlan = { queue: [], horizon: PLANNER_DEFAULT_HORIZON, draftOutId: null, squadKey: null }; // queue: [{ outId, inId }]
+let fixtureTickerState = { fromEventId: null, windowSize: 6, sort: "difficulty", mode: null }; // mode null = follow settings.customFdr
+let totalFplPlayers = 0; // bootstrap total_players
+const apiFetchedAtByPath = new Map(); // path -> when the last response for it left FPL (cache hits keep their fetch time)
+let chipWindows = []; // [{ name, start, stop }] from bootstrap chips, see getChipWindows
+let priceHistory = null; // { snapshots: [see buildPriceSnapshot], changes: { [id]: [{ at, from, to }] } }
+let pricePredictions = new Map(); // playerId -> { direction, progress, netSinceChange, projectedNet, velocityPerHour, owners }
+let watchlist = []; // player ids, see loadWatchlist in settings.js
+let watchlistDockOpen = true;
+let comparePendingId = null; // first shift-clicked badge waiting for a second player
+let myTeamSelectionPending = null; // Promise<{ squad, bank, transfers } | null>
+let myTeamSelectionCache = null; // { expiresAt, value } – value may be null (logged out); see loadMyTeamSelection
+let lastScanPath = null; // SPA route of the previous scan
 let myFreeTransfersMemory = null; // number | null
 let myTransfersPageFtCache = null; // number | null
 let myTransfersPageFtPending = null; // Promise<number|null>
+let settings = normalizeSettings(null); // see settings.js; kept in sync with chrome.storage.sync
+let activeLeagueId = null; // league picked in the insights panel switcher, null = first tracked league
+const leagueNameById = new Map(); // leagueId -> league name from standings
+const leagueTypeById = new Map(); // leagueId -> "s" (system: Overall, country, club) | "x" (private)
+const cappedLeagueIds = new Set(); // leagues with more entries than LEAGUE_EO_RIVALS_LIMIT
+let liveState = null; // { eventId, byElement: Map<id, live stats>, fixtures, inProgress, nextKickoff, signature, updatedAt }
+let liveTimer = null;
+let bootstrapRefreshTimer = null;
 let scanInProgress = false;
 let scanQueued = false;
 let scheduledTimer = null;
 
 // Differential Analysis State
-let miniLeagueOwnershipCache = new Map(); // eventId -> OwnershipData
-let miniLeagueOwnershipPending = new Map(); // eventId -> Promise<OwnershipData>
-let myCurrentTeamCache = new Map(); // eventId -> Set<playerId>
-let myCurrentTeamPending = new Map(); // eventId -> Promise<Set<playerId>>
+let miniLeagueOwnershipCache = new Map(); // `${leagueId}:${eventId}` -> OwnershipData
+let miniLeagueOwnershipPending = new Map(); // `${leagueId}:${eventId}` -> Promise<OwnershipData>
+let myCurrentTeamCache = new Map(); // eventId -> squad (see createSquad)
+let myCurrentTeamPending = new Map(); // eventId -> Promise<squad>
 
 // Ownership Thresholds for Differential Analysis
 const OWNERSHIP_THRESHOLDS = {
@@ -74,6 +196,16 @@ const VIEWS = [
     matchRoute: (path) => /^\/transfers(?:\/|$)/.test(path),
     scan: scanPitchNameBadges
   },
+  {
+    id: "transfers-planner",
+    matchRoute: (path) => /^\/transfers(?:\/|$)/.test(path),
+    scan: scanTransferPlanner
+  },
+  {
+    id: "transfers-prices",
+    matchRoute: (path) => /^\/transfers(?:\/|$)/.test(path),
+    scan: scanPriceWatch
+  },
   {
     id: "entry",
     matchRoute: (path) => /^\/entry\/\d+(?:\/|$)/.test(path),
@@ -88,6 +220,26 @@ const VIEWS = [
     id: "my-team-insights",
     matchRoute: (path) => /^\/my-team(?:\/|$)/.test(path),
     scan: scanMyTeamInsights
+  },
+  {
+    id: "my-team-captain",
+    matchRoute: (path) => /^\/my-team(?:\/|$)/.test(path),
+    scan: scanCaptainPicker
+  },
+  {
+    id: "my-team-chips",
+    matchRoute: (path) => /^\/my-team(?:\/|$)/.test(path),
+    scan: scanChipPlanner
+  },
+  {
+    id: "fixture-ticker",
+    matchRoute: () => true,
+    scan: scanFixtureTickerButton
+  },
+  {
+    id: "watchlist-dock",
+    matchRoute: () => true,
+    scan: scanWatchlistDock
   }
 ];
 
@@ -96,6 +248,34 @@ function debugLog(...args) {
   console.log(...args);
 }
 
+function getTrackedLeagues() {
+  return Array.isArray(settings?.leagues) ? settings.leagues : [];
+}
+
+function getActiveLeagueId() {
+  const leagues = getTrackedLeagues();
+  if (leagues.some((l) => l.id === activeLeagueId)) return activeLeagueId;
+  return leagues.length > 0 ? leagues[0].id : null;
+}
+
+function getLeagueName(leagueId) {
+  const id = Number(leagueId);
+  const fromStandings = leagueNameById.get(id);
+  if (fromStandings) return fromStandings;
+  const fromSettings = getTrackedLeagues().find((l) => l.id === id)?.name;
+  return fromSettings || `League ${id}`;
+}
+
+// League and entry names are user-chosen; escape them before they go into innerHTML.
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 function shouldAttemptScan() {
   if (!document.body) return false;
   const path = window.location.pathname || "/";
@@ -104,6 +284,8 @@ function shouldAttemptScan() {
 
 function shouldScheduleFromMutations(mutations) {
   for (const m of mutations) {
+    // page-bridge.js tags player nodes after React renders them, often after our scan ran
+    if (m.type === "attributes") return true;
     if (m.type !== "childList") continue;
     if (m.addedNodes && m.addedNodes.length > 0) return true;
   }
@@ -118,21 +300,83 @@ function scheduleScan() {
   }, SCHEDULE_DELAY_MS);
 }
 
-async function loadBootstrap() {
-  try {
-    const res = await fetch(`${BASE}/bootstrap-static/`);
-    debugLog("bootstrap-static status:", res.status);
-    if (!res.ok) {
-      throw new Error(`bootstrap-static failed: HTTP ${res.status}`);
+function isEventFinal(eventId) {
+  const status = eventStatusById.get(Number(eventId));
+  return Boolean(status?.finished && status?.dataChecked);
+}
+
+function isLiveGameweek() {
+  const current = eventStatusById.get(Number(currentEventId));
+  return Boolean(current && current.isCurrent && !current.dataChecked);
+}
+
+// How long a response may be served from IndexedDB. 0 = never persist
+// (authenticated endpoints); Infinity = immutable (finished gameweeks).
+function getApiCacheTtlMs(path) {
+  const p = String(path || "");
+  const live = isLiveGameweek();
+
+  if (/^\/(me|my-team)\//.test(p)) return 0;
+  // Before the first bootstrap the GW state is unknown; assume live so a stale one is not reused.
+  if (/^\/bootstrap-static\//.test(p)) return live || eventStatusById.size === 0 ? API_CACHE_TTL_MS.live : API_CACHE_TTL_MS.bootstrap;
+  if (/^\/fixtures\//.test(p)) return live ? API_CACHE_TTL_MS.live : API_CACHE_TTL_MS.fixtures;
+  if (/^\/element-summary\/\d+\//.test(p)) return live ? API_CACHE_TTL_MS.live : API_CACHE_TTL_MS.elementSummary;
+
+  const liveEvent = p.match(/^\/event\/(\d+)\/live\//);
+  if (liveEvent) return isEventFinal(Number(liveEvent[1])) ? Number.POSITIVE_INFINITY : API_CACHE_TTL_MS.live;
+
+  const picks = p.match(/^\/entry\/\d+\/event\/(\d+)\/picks\//);
+  if (picks) {
+    const ev = Number(picks[1]);
+    if (isEventFinal(ev)) return Number.POSITIVE_INFINITY;
+    const deadline = eventDeadlineById.get(ev);
+    return Number.isFinite(deadline) && deadline <= Date.now() ? API_CACHE_TTL_MS.lockedPicks : API_CACHE_TTL_MS.live;
+  }
+  if (/^\/entry\/\d+\/history\//.test(p)) return live ? API_CACHE_TTL_MS.live : API_CACHE_TTL_MS.entryHistory;
+  if (/^\/entry\/\d+\/transfers\//.test(p)) {
+    // New transfers only become public at the next deadline.
+    const nextDeadline = eventDeadlineById.get(Number(nextEventId));
+    const untilDeadline = Number.isFinite(nextDeadline) ? nextDeadline - Date.now() : 0;
+    return untilDeadline > 0 ? untilDeadline : API_CACHE_TTL_MS.live;
+  }
+  if (/^\/leagues-classic\/\d+\/standings\//.test(p)) return API_CACHE_TTL_MS.standings;
+  return 0;
+}
+
+// GET an FPL API path (e.g. "/fixtures/") as JSON, served from the persistent
+// cache when fresh, otherwise through the background worker (rate limit, retries).
+// `fresh: true` skips the cache read (live polling) but still refreshes it.
+// Throws on HTTP errors; the error carries `status`.
+async function fetchApiJson(path, options = {}) {
+  const ttlMs = getApiCacheTtlMs(path);
+  if (ttlMs > 0 && !options.fresh) {
+    const hit = await persistentCacheGetEntry(path, Date.now(), ttlMs);
+    if (hit !== undefined) {
+      apiFetchedAtByPath.set(path, hit.storedAt);
+      return hit.value;
     }
+  }
+
+  const data = await requestApiJson(path, options);
+  apiFetchedAtByPath.set(path, Date.now());
+  if (ttlMs > 0) {
+    persistentCacheSet(path, data, ttlMs).catch(() => {});
+  }
+  return data;
+}
 
-    const data = await res.json();
+async function loadBootstrap(fresh = false) {
+  try {
+    const data = await fetchApiJson("/bootstrap-static/", { fresh });
 
     playerMap = {};
     playerById = {};
+    playerIdByCode = new Map();
     teamById = {};
+    teamIdByCode = new Map();
     fixturesByTeam = new Map();
     fixturesLoaded = false;
+    fixturesLoadSeq++;
 
     const teams = Array.isArray(data.teams) ? data.teams : [];
     teams.forEach((t) => {
@@ -141,13 +385,14 @@ async function loadBootstrap() {
         short_name: String(t.short_name || "").trim() || `T${t.id}`,
         name: String(t.name || "").trim() || `Team ${t.id}`
       };
+      if (Number.isFinite(Number(t.code))) teamIdByCode.set(Number(t.code), Number(t.id));
     });
 
     data.elements.forEach((p) => {
-      playerMap[p.web_name] = {
-        id: p.id,
-        element_type: p.element_type
-      };
+      const candidate = { id: p.id, element_type: p.element_type, team: Number(p.team) };
+      addPlayerNameKey(normalizePlayerName(p.web_name), candidate);
+      addPlayerNameKey(normalizePlayerName(`${p.first_name || ""} ${p.second_name || ""}`), candidate);
+      if (Number.isFinite(Number(p.code))) playerIdByCode.set(Number(p.code), p.id);
       playerById[p.id] = {
         web_name: p.web_name,
         element_type: p.element_type,
@@ -155,11 +400,38 @@ async function loadBootstrap() {
         ep_next: Number(p.ep_next) || 0,
         ep_this: Number(p.ep_this) || 0,
         form: Number(p.form) || 0,
-        now_cost: Number(p.now_cost) || 0
+        now_cost: Number(p.now_cost) || 0,
+        status: String(p.status || "a"),
+        chance_next: p.chance_of_playing_next_round == null ? null : Number(p.chance_of_playing_next_round),
+        cost_change_event: Number(p.cost_change_event) || 0,
+        transfers_in_event: Number(p.transfers_in_event) || 0,
+        transfers_out_event: Number(p.transfers_out_event) || 0,
+        selected_by_percent: Number(p.selected_by_percent) || 0,
+        cost_change_start: Number(p.cost_change_start) || 0
       };
     });
+    totalFplPlayers = Number(data.total_players) || 0;
+    chipWindows = (Array.isArray(data.chips) ? data.chips : [])
+      .map((c) => ({ name: String(c?.name || ""), start: Number(c?.start_event), stop: Number(c?.stop_event) }))
+      .filter((c) => c.name && Number.isFinite(c.start) && Number.isFinite(c.stop));
     currentEventId = getCurrentEventId(data);
     nextEventId = getNextEventId(data);
+    eventDeadlineById = new Map();
+    (Array.isArray(data.events) ? data.events : []).forEach((e) => {
+      const ms = Date.parse(String(e?.deadline_time || ""));
+      if (Number.isFinite(Number(e?.id)) && Number.isFinite(ms)) eventDeadlineById.set(Number(e.id), ms);
+    });
+    eventStatusById = new Map();
+    (Array.isArray(data.events) ? data.events : []).forEach((e) => {
+      if (!Number.isFinite(Number(e?.id))) return;
+      eventStatusById.set(Number(e.id), {
+        finished: Boolean(e.finished),
+        dataChecked: Boolean(e.data_checked),
+        isCurrent: Boolean(e.is_current)
+      });
+    });
+    const gw1Deadline = eventDeadlineById.get(1);
+    seasonStartYear = Number.isFinite(gw1Deadline) ? new Date(gw1Deadline).getUTCFullYear() : null;
 
     await loadFixtures();
 
@@ -169,60 +441,203 @@ async function loadBootstrap() {
   }
 }
 
-async function loadFixtures() {
-  try {
-    const res = await fetch(`${BASE}/fixtures/`);
-    if (!res.ok) throw new Error(`fixtures failed: HTTP ${res.status}`);
-    const fixtures = await res.json();
-    const list = Array.isArray(fixtures) ? fixtures : [];
+// Team xG per finished fixture, summed from players' expected_goals in /event/{id}/live/
+// for the last TEAM_XG_EVENTS finished GWs. /fixtures/ carries no xG, and live stats are per
+// GW, so fixtures of teams with a double that GW are left out. Map<fixtureId, { h, a }>.
+async function loadFixtureTeamXg(fixtures) {
+  const out = new Map();
+  const finished = fixtures.filter((fx) => fx?.finished && Number.isFinite(Number(fx.event)));
+  const events = [...new Set(finished.map((fx) => Number(fx.event)))].sort((a, b) => b - a).slice(0, TEAM_XG_EVENTS);
+
+  await mapWithConcurrency(events, CAPTAIN_FETCH_CONCURRENCY, async (ev) => {
+    const eventFixtures = finished.filter((fx) => Number(fx.event) === ev);
+    const gamesByTeam = new Map();
+    for (const fx of eventFixtures) {
+      for (const team of [Number(fx.team_h), Number(fx.team_a)]) gamesByTeam.set(team, (gamesByTeam.get(team) || 0) + 1);
+    }
+    const single = eventFixtures.filter((fx) => gamesByTeam.get(Number(fx.team_h)) === 1 && gamesByTeam.get(Number(fx.team_a)) === 1);
+    if (single.length === 0) return;
 
-    const grouped = new Map();
-    for (const fx of list) {
-      if (!fx) continue;
-      if (fx.finished || fx.started) continue;
-
-      const event = Number(fx.event);
-      const kickoff = Date.parse(String(fx.kickoff_time || "")) || 0;
-      const teamH = Number(fx.team_h);
-      const teamA = Number(fx.team_a);
-      if (!Number.isFinite(teamH) || !Number.isFinite(teamA)) continue;
-
-      const oppForH = teamById[teamA]?.short_name || `T${teamA}`;
-      const oppForA = teamById[teamH]?.short_name || `T${teamH}`;
-      const hDiff = Number(fx.team_h_difficulty);
-      const aDiff = Number(fx.team_a_difficulty);
-
-      if (!grouped.has(teamH)) grouped.set(teamH, []);
-      if (!grouped.has(teamA)) grouped.set(teamA, []);
-
-      grouped.get(teamH).push({
-        oppShort: oppForH,
-        isHome: true,
-        difficulty: Number.isFinite(hDiff) ? hDiff : null,
-        event,
-        kickoff
-      });
-      grouped.get(teamA).push({
-        oppShort: oppForA,
-        isHome: false,
-        difficulty: Number.isFinite(aDiff) ? aDiff : null,
-        event,
-        kickoff
-      });
+    let liveData;
+    try {
+      liveData = await fetchApiJson(`/event/${ev}/live/`);
+    } catch (e) {
+      debugLog("loadFixtureTeamXg failed", ev, e);
+      return;
+    }
+    const byId = new Map(single.map((fx) => [Number(fx.id), { h: 0, a: 0 }]));
+    for (const el of Array.isArray(liveData?.elements) ? liveData.elements : []) {
+      const fixtureIds = (Array.isArray(el?.explain) ? el.explain : []).map((x) => Number(x?.fixture));
+      const xg = Number(el?.stats?.expected_goals);
+      if (fixtureIds.length !== 1 || !byId.has(fixtureIds[0]) || !(xg > 0)) continue;
+      const fx = single.find((f) => Number(f.id) === fixtureIds[0]);
+      // Current team only: players sold to another club since then are skipped.
+      const team = Number(playerById[el.id]?.team);
+      const side = team === Number(fx.team_h) ? "h" : (team === Number(fx.team_a) ? "a" : null);
+      if (side) byId.get(fixtureIds[0])[side] += xg;
     }
+    byId.forEach((xg, id) => out.set(id, xg));
+  });
+  return out;
+}
 
-    grouped.forEach((arr, teamId) => {
-      arr.sort((a, b) => {
-        const ea = Number.isFinite(a.event) ? a.event : 999;
-        const eb = Number.isFinite(b.event) ? b.event : 999;
-        if (ea !== eb) return ea - eb;
-        return a.kickoff - b.kickoff;
-      });
-      grouped.set(teamId, arr);
+// Team output for one side of a finished fixture: team xG when loaded, otherwise the score.
+function pickFixtureTeamOutput(fx, side, xgByFixture) {
+  const xg = xgByFixture?.get(Number(fx?.id));
+  if (xg) return xg[side];
+  const score = Number(side === "h" ? fx?.team_h_score : fx?.team_a_score);
+  return Number.isFinite(score) ? score : null;
+}
+
+// Split attack/defence strength per team from finished fixtures, relative to the league
+// average (1 = average; defence > 1 = concedes more). Shrunk towards 1 so early-season
+// samples do not swing ratings. Returns { byTeam: Map, avgGoals, homeFactor }.
+function computeTeamStrengths(fixtures, xgByFixture) {
+  const totals = new Map(); // teamId -> { scored, conceded, games }
+  let homeFor = 0;
+  let awayFor = 0;
+  let games = 0;
+  for (const fx of fixtures) {
+    if (!fx?.finished) continue;
+    const teamH = Number(fx.team_h);
+    const teamA = Number(fx.team_a);
+    const outH = pickFixtureTeamOutput(fx, "h", xgByFixture);
+    const outA = pickFixtureTeamOutput(fx, "a", xgByFixture);
+    if (!Number.isFinite(teamH) || !Number.isFinite(teamA) || outH == null || outA == null) continue;
+    for (const [team, scored, conceded] of [[teamH, outH, outA], [teamA, outA, outH]]) {
+      const t = totals.get(team) || { scored: 0, conceded: 0, games: 0 };
+      t.scored += scored;
+      t.conceded += conceded;
+      t.games += 1;
+      totals.set(team, t);
+    }
+    homeFor += outH;
+    awayFor += outA;
+    games += 1;
+  }
+
+  const avgGoals = games > 0 ? (homeFor + awayFor) / (2 * games) : 0;
+  const homeFactor = games > 0 && homeFor > 0 && awayFor > 0 ? Math.sqrt(homeFor / awayFor) : 1;
+  const byTeam = new Map();
+  if (avgGoals <= 0) return { byTeam, avgGoals, homeFactor };
+
+  const shrink = (ratio, n) => (ratio * n + TEAM_STRENGTH_PRIOR_GAMES) / (n + TEAM_STRENGTH_PRIOR_GAMES);
+  for (const [team, t] of totals.entries()) {
+    byTeam.set(team, {
+      attack: shrink(t.scored / t.games / avgGoals, t.games),
+      defence: shrink(t.conceded / t.games / avgGoals, t.games),
+      games: t.games
+    });
+  }
+  return { byTeam, avgGoals, homeFactor };
+}
+
+function ratioToDifficulty(ratio, bands) {
+  const index = bands.findIndex((limit) => ratio >= limit);
+  return index === -1 ? 5 : index + 1;
+}
+
+// { attackDifficulty, defenceDifficulty } for `teamId` playing `oppId`, from expected goals
+// for and against relative to the league average. null when there is no finished data yet.
+function rateFixtureForTeam(strengths, teamId, oppId, isHome) {
+  const team = strengths.byTeam.get(Number(teamId));
+  const opp = strengths.byTeam.get(Number(oppId));
+  if (!team || !opp) return { attackDifficulty: null, defenceDifficulty: null };
+  const venue = isHome ? strengths.homeFactor : 1 / strengths.homeFactor;
+  const expectedFor = team.attack * opp.defence * venue;
+  const expectedAgainst = opp.attack * team.defence / venue;
+  return {
+    attackDifficulty: ratioToDifficulty(expectedFor, CUSTOM_FDR_BANDS),
+    // fewer goals expected against = easier for defenders
+    defenceDifficulty: ratioToDifficulty(1 / Math.max(expectedAgainst, 0.01), CUSTOM_FDR_BANDS)
+  };
+}
+
+// Difficulty to show for a player's fixture: with custom FDR on, GK/DEF read the defensive
+// rating and MID/FWD the attacking one; otherwise FPL's own value.
+function getFixtureDifficulty(fx, elementType) {
+  if (!settings.customFdr) return fx?.difficulty ?? null;
+  return getFixtureDifficultyByMode(fx, Number(elementType) <= 2 ? "defence" : "attack");
+}
+
+// mode: "fpl" | "attack" | "defence"; custom ratings fall back to FPL's when missing.
+function getFixtureDifficultyByMode(fx, mode) {
+  const custom = mode === "attack" ? fx?.attackDifficulty : (mode === "defence" ? fx?.defenceDifficulty : null);
+  return Number.isFinite(custom) ? custom : (fx?.difficulty ?? null);
+}
+
+// Upcoming fixtures per team, rated with `strengths` (see computeTeamStrengths).
+function buildFixturesByTeam(list, strengths) {
+  const grouped = new Map();
+  for (const fx of list) {
+    if (!fx) continue;
+    if (fx.finished || fx.started) continue;
+
+    const event = Number(fx.event);
+    const kickoff = Date.parse(String(fx.kickoff_time || "")) || 0;
+    const teamH = Number(fx.team_h);
+    const teamA = Number(fx.team_a);
+    if (!Number.isFinite(teamH) || !Number.isFinite(teamA)) continue;
+
+    const oppForH = teamById[teamA]?.short_name || `T${teamA}`;
+    const oppForA = teamById[teamH]?.short_name || `T${teamH}`;
+    const hDiff = Number(fx.team_h_difficulty);
+    const aDiff = Number(fx.team_a_difficulty);
+
+    if (!grouped.has(teamH)) grouped.set(teamH, []);
+    if (!grouped.has(teamA)) grouped.set(teamA, []);
+
+    grouped.get(teamH).push({
+      oppShort: oppForH,
+      isHome: true,
+      difficulty: Number.isFinite(hDiff) ? hDiff : null,
+      ...rateFixtureForTeam(strengths, teamH, teamA, true),
+      event,
+      kickoff
+    });
+    grouped.get(teamA).push({
+      oppShort: oppForA,
+      isHome: false,
+      difficulty: Number.isFinite(aDiff) ? aDiff : null,
+      ...rateFixtureForTeam(strengths, teamA, teamH, false),
+      event,
+      kickoff
+    });
+  }
+
+  grouped.forEach((arr, teamId) => {
+    arr.sort((a, b) => {
+      const ea = Number.isFinite(a.event) ? a.event : 999;
+      const eb = Number.isFinite(b.event) ? b.event : 999;
+      if (ea !== eb) return ea - eb;
+      return a.kickoff - b.kickoff;
     });
+    grouped.set(teamId, arr);
+  });
+  return grouped;
+}
+
+// Custom ratings need team xG from up to TEAM_XG_EVENTS live payloads; they arrive in the
+// background and re-render everything, meanwhile fixtures carry FPL's FDR only.
+async function refreshTeamStrengths(list, seq) {
+  const xgByFixture = await loadFixtureTeamXg(list);
+  if (seq !== fixturesLoadSeq) return; // a newer loadFixtures has taken over
+  const strengths = computeTeamStrengths(list, xgByFixture);
+  teamStrengthById = strengths.byTeam;
+  fixturesByTeam = buildFixturesByTeam(list, strengths);
+  resetInjectedUi();
+  scheduleScan();
+}
 
-    fixturesByTeam = grouped;
+async function loadFixtures() {
+  try {
+    const fixtures = await fetchApiJson("/fixtures/");
+    const list = Array.isArray(fixtures) ? fixtures : [];
+    const seq = ++fixturesLoadSeq;
+    teamStrengthById = new Map();
+    fixturesByTeam = buildFixturesByTeam(list, { byTeam: new Map(), homeFactor: 1 });
     fixturesLoaded = true;
+    refreshTeamStrengths(list, seq).catch((e) => debugLog("refreshTeamStrengths failed", e));
   } catch (e) {
     debugLog("loadFixtures failed", e);
     fixturesByTeam = new Map();
@@ -239,11 +654,39 @@ function fixtureBgByDifficulty(difficulty) {
   return "#ef4444";
 }
 
-function getNextFixturesForPlayer(playerId, count = 5) {
+function getPlayerFixturesForEvent(playerId, eventId) {
   const teamId = Number(playerById[playerId]?.team);
   if (!Number.isFinite(teamId)) return [];
-  const arr = fixturesByTeam.get(teamId) || [];
-  return arr.slice(0, count);
+  return (fixturesByTeam.get(teamId) || []).filter((fx) => Number(fx.event) === Number(eventId));
+}
+
+// One slot per GW from the next deadline: [] = blank, two fixtures = double.
+function getFixtureSlotsForPlayer(playerId, count = 5) {
+  const fromEventId = Number(nextEventId ?? currentEventId);
+  if (!Number.isFinite(fromEventId)) return [];
+  const lastEvent = Math.max(...eventDeadlineById.keys(), fromEventId);
+  const slots = [];
+  for (let ev = fromEventId; ev < fromEventId + count && ev <= lastEvent; ev += 1) {
+    slots.push({ event: ev, fixtures: getPlayerFixturesForEvent(playerId, ev) });
+  }
+  return slots;
+}
+
+// Starters (from `squad`) with a blank or a double in each of the next `count` GWs.
+function calculateFixtureWarnings(squad, count = FIXTURE_WARNING_LOOKAHEAD) {
+  const starters = getStarters(squad).map((pick) => pick.element);
+  const byEvent = new Map(); // eventId -> { blanks: [], doubles: [] }
+  for (const playerId of starters) {
+    for (const slot of getFixtureSlotsForPlayer(playerId, count)) {
+      if (!byEvent.has(slot.event)) byEvent.set(slot.event, { event: slot.event, blanks: [], doubles: [] });
+      const name = playerById[playerId]?.web_name || `#${playerId}`;
+      if (slot.fixtures.length === 0) byEvent.get(slot.event).blanks.push(name);
+      if (slot.fixtures.length > 1) byEvent.get(slot.event).doubles.push(name);
+    }
+  }
+  return Array.from(byEvent.values())
+    .filter((w) => w.blanks.length > 0 || w.doubles.length > 0)
+    .sort((a, b) => a.event - b.event);
 }
 
 function getCurrentEventId(bootstrapData) {
@@ -253,6 +696,14 @@ function getCurrentEventId(bootstrapData) {
   return null;
 }
 
+function getLastDeadlineMs(now = Date.now()) {
+  let last = null;
+  for (const ms of eventDeadlineById.values()) {
+    if (ms <= now && (last == null || ms > last)) last = ms;
+  }
+  return last;
+}
+
 function getNextEventId(bootstrapData) {
   const events = Array.isArray(bootstrapData?.events) ? bootstrapData.events : [];
   const next = events.find((e) => e && e.is_next);
@@ -260,19 +711,53 @@ function getNextEventId(bootstrapData) {
   return null;
 }
 
+function getFormWindow() {
+  return FORM_WINDOWS.includes(settings.formWindow) ? settings.formWindow : 5;
+}
+
+function getFormCacheKey() {
+  return `${settings.formWeighting === "ewma" ? "ewma" : "flat"}${getFormWindow() || "all"}`;
+}
+
+// Window shown after windowed badge stats, e.g. "last 5", "last 10 ewma", "season, 23".
+function getFormWindowLabel(games) {
+  const base = getFormWindow() === 0 ? `season, ${games}` : `last ${games}`;
+  return settings.formWeighting === "ewma" ? `${base} ewma` : base;
+}
+
+// Badge text for one registry metric (see BADGE_METRICS in settings.js), followed by the
+// form window, e.g. "SP: 2 (last 5)".
+function formatBadgeMetric(key, stats) {
+  const label = BADGE_METRICS.find((m) => m.key === key)?.short || key;
+  const w = ` (${stats.formLabel})`;
+  switch (key) {
+    case "csForm":
+    case "savePointsForm":
+      return `${label}: ${stats[key]}${w}`;
+    case "dc10Form":
+      return `${label}: ${stats.hasDC ? `${stats.dc10Form}${w}` : "n/a"}`;
+    case "xgcPerMatch":
+    case "xgc90":
+      return `${label}: ${stats.hasXGC ? `${Number(stats[key]).toFixed(2)}${w}` : "n/a"}`;
+    case "minutesSecurity":
+      return `${label}: ${stats.minutesSecurity}%${w}`;
+    default:
+      return `${label}: ${Number(stats[key] ?? 0).toFixed(2)}${w}`;
+  }
+}
+
+function getBadgeMetricKeys(elementType) {
+  return settings.badgeMetrics?.[elementType] || BADGE_METRIC_DEFAULTS[elementType] || [];
+}
+
 async function loadPlayerData(id, eventIdForGw = currentEventId) {
   const ev = Number(eventIdForGw);
   const evKey = Number.isFinite(ev) && ev > 0 ? String(ev) : "na";
-  const cacheKey = `${Number(id)}:${evKey}`;
+  const cacheKey = `${Number(id)}:${evKey}:${getFormCacheKey()}`;
   if (cache[cacheKey]) return cache[cacheKey];
 
   try {
-    const res = await fetch(`${BASE}/element-summary/${id}/`);
-    // console.log("element-summary status", id, res.status);
-    if (!res.ok) {
-      throw new Error(`element-summary failed for ${id}: HTTP ${res.status}`);
-    }
-    const data = await res.json();
+    const data = await fetchApiJson(`/element-summary/${id}/`);
 
     const hist = Array.isArray(data.history) ? data.history : [];
 
@@ -282,25 +767,33 @@ async function loadPlayerData(id, eventIdForGw = currentEventId) {
     // Only count matches where the player actually played (minutes > 0)
     const played = sorted.filter(m => Number(m.minutes ?? 0) > 0);
 
-    // Take last 5 played matches
-    const last5 = played.slice(-5);
+    // Form window from settings: last N played matches (0 = whole season), optionally
+    // exponentially weighted towards the most recent ones.
+    const windowSize = getFormWindow();
+    const formRows = windowSize > 0 ? played.slice(-windowSize) : played;
+    const formGames = formRows.length;
+    const weights = formRows.map((_, i) => (settings.formWeighting === "ewma"
+      ? 0.5 ** ((formGames - 1 - i) / FORM_EWMA_HALF_LIFE)
+      : 1));
+    const weightTotal = weights.reduce((a, b) => a + b, 0);
+    // Weighted mean of `pick` over the window, scaled back to a count over formGames matches.
+    const windowCount = (pick) => (weightTotal > 0
+      ? formRows.reduce((sum, m, i) => sum + weights[i] * pick(m), 0) / weightTotal * formGames
+      : 0);
 
     // Debug: inspect available fields (uncomment temporarily)
-    // if (last5[0]) console.log("history keys sample:", Object.keys(last5[0]));
+    // if (formRows[0]) console.log("history keys sample:", Object.keys(formRows[0]));
 
-    const games = last5.length || 1;
-    const min5 = last5.reduce((sum, m) => sum + Number(m.minutes ?? 0), 0);
     const pickXG = (row) => Number(row.xG ?? row.expected_goals ?? 0);
     const pickXA = (row) => Number(row.xA ?? row.expected_assists ?? 0);
 
-    // Clean Sheets over last 5 played matches
-    const cs5 = last5.reduce((sum, m) => sum + (Number(m.clean_sheets ?? 0) > 0 ? 1 : 0), 0);
-    // Save points over last 5 (1 point per 3 saves, rounded down per match).
-    const savePoints5 = last5.reduce((sum, m) => {
+    // Clean sheets over the form window
+    const csForm = windowCount((m) => (Number(m.clean_sheets ?? 0) > 0 ? 1 : 0));
+    // Save points over the form window (1 point per 3 saves, rounded down per match).
+    const savePointsForm = windowCount((m) => {
       const saves = Number(m.saves ?? 0);
-      if (!Number.isFinite(saves) || saves <= 0) return sum;
-      return sum + Math.floor(saves / 3);
-    }, 0);
+      return Number.isFinite(saves) && saves > 0 ? Math.floor(saves / 3) : 0;
+    });
 
     // Defensive contributions; field name may vary across API payloads.
     const pickDC = (m) => {
@@ -309,36 +802,33 @@ async function loadPlayerData(id, eventIdForGw = currentEventId) {
       const n = Number(v);
       return Number.isFinite(n) ? n : null;
     };
-    let hasDC = false;
-    let dc10Matches5 = 0;
-    for (const m of last5) {
-      const v = pickDC(m);
-      if (v == null) continue;
-      hasDC = true;
-      if (v >= 10) dc10Matches5 += 1;
-    }
+    const hasDC = formRows.some((m) => pickDC(m) != null);
+    const dc10Form = windowCount((m) => ((pickDC(m) ?? 0) >= 10 ? 1 : 0));
     const pickXGC = (row) => {
       const v = row.xGC ?? row.expected_goals_conceded;
       const n = Number(v);
       return Number.isFinite(n) ? n : null;
     };
-    let hasXGC = false;
-    let xgc5 = 0;
-    for (const m of last5) {
-      const v = pickXGC(m);
-      if (v == null) continue;
-      hasXGC = true;
-      xgc5 += v;
-    }
-    const xgcPerMatch5 = games > 0 ? (xgc5 / games) : 0;
+    const hasXGC = formRows.some((m) => pickXGC(m) != null);
+    const xgcPerMatch = formGames > 0 ? windowCount((m) => pickXGC(m) ?? 0) / formGames : 0;
+    const weightedXgi = formRows.reduce((sum, m, i) => sum + weights[i] * (pickXG(m) + pickXA(m)), 0);
+    const weightedMinutes = formRows.reduce((sum, m, i) => sum + weights[i] * Number(m.minutes ?? 0), 0);
+    const xgi90 = weightedMinutes > 0 ? (weightedXgi / (weightedMinutes / 90)) : 0;
+    const windowPer90 = (pick) => (weightedMinutes > 0
+      ? formRows.reduce((sum, m, i) => sum + weights[i] * pick(m), 0) / (weightedMinutes / 90)
+      : 0);
+    const windowPerMatch = (pick) => (formGames > 0 ? windowCount(pick) / formGames : 0);
+    // Minutes security looks at the team's matches in the window, including ones he missed.
+    const teamRows = windowSize > 0 ? sorted.slice(-windowSize) : sorted;
+    const minutesSecurity = teamRows.length > 0
+      ? (teamRows.filter((m) => Number(m.minutes ?? 0) >= 60).length / teamRows.length) * 100
+      : 0;
     const gw = ev;
     const hasCurrentGwXgi = Number.isFinite(gw) && gw > 0;
     const currentGwRows = hasCurrentGwXgi
       ? sorted.filter((m) => Number(m.round) === gw)
       : [];
     const currentGwXgi = currentGwRows.reduce((sum, m) => sum + pickXG(m) + pickXA(m), 0);
-    const xgi5 = last5.reduce((sum, m) => sum + pickXG(m) + pickXA(m), 0);
-    const xgi90 = min5 > 0 ? (xgi5 / (min5 / 90)) : 0;
     const currentGwDcRows = currentGwRows.map(pickDC).filter((v) => v != null);
     const hasCurrentGwDc = currentGwDcRows.length > 0;
     const currentGwDc = hasCurrentGwDc
@@ -354,20 +844,46 @@ async function loadPlayerData(id, eventIdForGw = currentEventId) {
     }, 0);
 
     cache[cacheKey] = {
-      games,
-      cs5,
+      formGames,
+      formLabel: getFormWindowLabel(formGames),
+      csForm: Number(csForm.toFixed(1)),
       hasDC,
-      dc10Matches5,
-      savePoints5,
-      xgcPerMatch5: Number(xgcPerMatch5.toFixed(2)),
+      dc10Form: Number(dc10Form.toFixed(1)),
+      savePointsForm: Number(savePointsForm.toFixed(1)),
+      xgcPerMatch: Number(xgcPerMatch.toFixed(2)),
       hasXGC,
       xgi90: Number(xgi90.toFixed(2)),
+      xg90: Number(windowPer90(pickXG).toFixed(2)),
+      xa90: Number(windowPer90(pickXA).toFixed(2)),
+      xgc90: Number(windowPer90((m) => pickXGC(m) ?? 0).toFixed(2)),
+      threat90: Number(windowPer90((m) => Number(m.threat ?? 0)).toFixed(1)),
+      creativity90: Number(windowPer90((m) => Number(m.creativity ?? 0)).toFixed(1)),
+      ictPerMatch: Number(windowPerMatch((m) => Number(m.ict_index ?? 0)).toFixed(1)),
+      bonusPerMatch: Number(windowPerMatch((m) => Number(m.bonus ?? 0)).toFixed(2)),
+      savesPerMatch: Number(windowPerMatch((m) => Number(m.saves ?? 0)).toFixed(1)),
+      minutesSecurity: Math.round(minutesSecurity),
       currentGwXgi: Number(currentGwXgi.toFixed(2)),
       hasCurrentGwXgi,
       currentGwDc: Math.round(currentGwDc),
       hasCurrentGwDc,
       currentGwSaves: Math.round(currentGwSaves),
-      currentGwXgc: Number(currentGwXgc.toFixed(2))
+      currentGwXgc: Number(currentGwXgc.toFixed(2)),
+      // every match this season, for the comparison overlay
+      matches: sorted.map((m) => ({
+        round: Number(m.round),
+        opponent: teamById[Number(m.opponent_team)]?.short_name || "?",
+        wasHome: Boolean(m.was_home),
+        minutes: Number(m.minutes ?? 0),
+        xG: pickXG(m),
+        xA: pickXA(m),
+        xGC: pickXGC(m) ?? 0,
+        cs: Number(m.clean_sheets ?? 0) > 0 ? 1 : 0,
+        dc: pickDC(m) ?? 0,
+        saves: Number(m.saves ?? 0),
+        bonus: Number(m.bonus ?? 0),
+        points: Number(m.total_points ?? 0),
+        value: Number(m.value ?? 0) // price at kick-off, tenths of £m
+      }))
     };
 
     return cache[cacheKey];
@@ -377,6 +893,108 @@ async function loadPlayerData(id, eventIdForGw = currentEventId) {
   }
 }
 
+// Accent-folded, case-insensitive key for matching names rendered by the site against
+// bootstrap names ("Ødegaard" / "Odegaard", "Gabriel." / "Gabriel").
+function normalizePlayerName(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ø/g, "o")
+    .replace(/æ/g, "ae")
+    .replace(/ß/g, "ss")
+    .replace(/[łđı]/g, (c) => ({ "ł": "l", "đ": "d", "ı": "i" })[c])
+    .replace(/[…]|\.{2,}$/g, "")
+    .replace(/[^a-z0-9 '-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function addPlayerNameKey(key, player) {
+  if (!key) return;
+  if (!playerMap[key]) playerMap[key] = [];
+  if (!playerMap[key].some((c) => c.id === player.id)) playerMap[key].push(player);
+}
+
+// Candidates for a rendered name: exact normalized web_name/full name first, then a prefix
+// match for names the site truncated.
+function lookupPlayerCandidates(name) {
+  const key = normalizePlayerName(name);
+  if (!key) return [];
+  if (playerMap[key]) return playerMap[key];
+  const raw = String(name || "").trim();
+  if (key.length < 4 || !/(\.|…)$/.test(raw)) return [];
+  const out = [];
+  for (const [candidateKey, list] of Object.entries(playerMap)) {
+    if (candidateKey.startsWith(key)) out.push(...list.filter((c) => !out.includes(c)));
+  }
+  return out;
+}
+
+function getTeamCodeFromContainer(container) {
+  for (const img of container.querySelectorAll("img, source")) {
+    const src = String(img.getAttribute("src") || img.getAttribute("srcset") || "");
+    const m = src.match(/shirt_(\d+)|badges?\/[^/]*?t(\d+)[._@]|\/t(\d+)\.(?:png|svg|webp)/i);
+    if (m) return Number(m[1] || m[2] || m[3]);
+  }
+  return null;
+}
+
+function getPhotoCodeFromContainer(container) {
+  for (const img of container.querySelectorAll("img, source")) {
+    const src = String(img.getAttribute("src") || img.getAttribute("srcset") || "");
+    const m = src.match(/\/p(\d+)\.(?:png|jpg|webp)/i);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+function getPositionFromContainer(container) {
+  const m = (container.textContent || "").match(/\b(GKP|GK|DEF|MID|FWD)\b/);
+  if (!m) return null;
+  return { GKP: 1, GK: 1, DEF: 2, MID: 3, FWD: 4 }[m[1]];
+}
+
+// Player for a name node on the pitch, or null. In order: the element id the page bridge
+// (page-bridge.js) copied from React props, the photo code, then name candidates narrowed
+// by shirt/badge team, position label and finally membership of the squad on screen.
+async function resolvePlayerForNameNode(el) {
+  const container = getPlayerCardContainer(el) || el;
+
+  const bridged = Number(el.closest("[data-fplxg-element]")?.dataset.fplxgElement
+    ?? container.querySelector("[data-fplxg-element]")?.dataset.fplxgElement);
+  if (playerById[bridged]) return { id: bridged, element_type: playerById[bridged].element_type };
+
+  const photoId = playerIdByCode.get(getPhotoCodeFromContainer(container));
+  if (playerById[photoId]) return { id: photoId, element_type: playerById[photoId].element_type };
+
+  let candidates = lookupPlayerCandidates(el.textContent);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const teamId = teamIdByCode.get(getTeamCodeFromContainer(container));
+  if (Number.isFinite(teamId)) {
+    const byTeam = candidates.filter((c) => c.team === teamId);
+    if (byTeam.length > 0) candidates = byTeam;
+  }
+  const position = getPositionFromContainer(container);
+  if (candidates.length > 1 && position) {
+    const byPosition = candidates.filter((c) => c.element_type === position);
+    if (byPosition.length > 0) candidates = byPosition;
+  }
+  if (candidates.length > 1) {
+    const viewedEventId = parseEventIdFromPath(window.location.pathname || "/") ?? currentEventId;
+    const squad = await loadViewSquad(viewedEventId);
+    const inSquad = candidates.filter((c) => squad.ids.has(c.id));
+    if (inSquad.length > 0) candidates = inSquad;
+  }
+  if (candidates.length > 1) {
+    // No badge beats a badge on the wrong player.
+    debugLog("ambiguous player name", el.textContent, candidates.map((c) => c.id));
+    return null;
+  }
+  return candidates[0];
+}
+
 function getPlayerCardContainer(el) {
   return (
     el.closest('[data-testid="pitch-element"], [data-testid*="pitch-element"], [class*="PitchElement"], [class*="pitchElement"]') ||
@@ -408,7 +1026,7 @@ function endInject(container, playerId) {
 
 async function injectUnderName(el, viewId) {
   const name = (el.textContent || "").trim();
-  const player = playerMap[name];
+  const player = await resolvePlayerForNameNode(el);
   if (!player) return;
   const { id, element_type } = player;
 
@@ -438,7 +1056,7 @@ async function injectUnderName(el, viewId) {
       : { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
     let myTeam = Number.isFinite(Number(eventIdForView))
       ? await loadMyCurrentTeam(eventIdForView)
-      : new Set();
+      : createEmptySquad(null, eventIdForView);
 
     // If viewed event has no rival picks data yet, fallback to current event for ML/EO.
     const canFallbackToCurrent = Number.isFinite(Number(currentEventId))
@@ -462,30 +1080,16 @@ async function injectUnderName(el, viewId) {
     const playerOwn = ownershipData?.playerOwnership?.get(id);
     const mlOwnership = Number.isFinite(playerOwn?.ownershipPct) ? playerOwn.ownershipPct : 0;
     const totalRivals = Number(ownershipData?.totalRivals || 0);
-    let capCount = 0;
-    let tripleCapCount = 0;
-    const captainEntries = []; // Track which entries have this player as captain
-    if (totalRivals > 0 && ownershipData?.rivalTeams instanceof Map) {
-      for (const [entryId, team] of ownershipData.rivalTeams.entries()) {
-        const capId = Number(team?.captain);
-        if (!Number.isFinite(capId) || capId !== Number(id)) continue;
-        capCount += 1;
-        captainEntries.push(entryId);
-        if (String(team?.chip || "").toLowerCase() === "3xc") {
-          tripleCapCount += 1;
-        }
-      }
+    if (playerOwn?.captainedBy?.size > 0) {
+      debugLog(`${name} has the armband in ${playerOwn.captainedBy.size} team(s): Entry IDs = ${Array.from(playerOwn.captainedBy).join(', ')}`);
     }
-    // Debug log to show who has this player as captain
-    if (capCount > 0) {
-      debugLog(`${name} is captain in ${capCount} team(s): Entry IDs = ${captainEntries.join(', ')}`);
-    }
-    const eoPct = totalRivals > 0
-      ? mlOwnership + ((capCount + tripleCapCount) / totalRivals) * 100
-      : null;
-    const eoText = Number.isFinite(eoPct) ? `${Math.round(eoPct)}%` : "n/a";
-    const mlOwnText = Number.isFinite(mlOwnership) ? `${Math.round(mlOwnership)}%` : "n/a";
-    const iOwnPlayer = myTeam && myTeam.size > 0 ? myTeam.has(id) : false;
+    const eoText = totalRivals > 0 ? `${Math.round(playerOwn?.eoPct || 0)}%` : "n/a";
+    const startText = totalRivals > 0 ? `${Math.round(playerOwn?.startingPct || 0)}%` : "n/a";
+    const mlOwnText = totalRivals > 0 ? `${Math.round(mlOwnership)}%` : "n/a";
+    const eoHtml = totalRivals > 0
+      ? `<span style="color:#cbd5e1" title="Effective ownership · started by · in squad of league rivals">EO: ${eoText} · XI: ${startText} · Squad: ${mlOwnText}</span><br />`
+      : "";
+    const iOwnPlayer = myTeam && myTeam.ids.size > 0 ? myTeam.ids.has(id) : false;
 
     // Determine differential/template/threat status
     // Note: Players not in the ownership map have 0% ownership (no rivals own them)
@@ -533,6 +1137,14 @@ async function injectUnderName(el, viewId) {
     div.style.fontSize = "11px";
     div.style.marginTop = "2px";
     div.style.fontWeight = "600";
+    div.title = "Shift-click two players to compare, or one player twice for their stats";
+    // Plain clicks fall through to FPL's own player dialog.
+    div.addEventListener("click", (e) => {
+      if (!e.shiftKey) return;
+      e.preventDefault();
+      e.stopPropagation();
+      handleBadgeCompareClick(div, Number(id));
+    });
 
     const isGk = element_type === 1; // 1 = GK
     const isDef = element_type === 2; // 2 = DEF
@@ -541,13 +1153,8 @@ async function injectUnderName(el, viewId) {
     let fixtureHtml = "";
     if (!isPointsView) {
       if (!fixturesLoaded) await loadFixtures();
-      const nextFixtures = getNextFixturesForPlayer(id, 5);
-      fixtureHtml = nextFixtures.length > 0
-        ? `
-          <div style="margin-top:2px; display:grid; grid-template-columns:repeat(5,minmax(0,1fr)); gap:2px; max-width:100%;">
-            ${nextFixtures.map((f) => {
-              const label = String(f.oppShort || "?").toLowerCase();
-              return `<span style="
+      const slots = getFixtureSlotsForPlayer(id, 5);
+      const cellStyle = `
                 display:block;
                 min-width:0;
                 text-align:center;
@@ -557,16 +1164,54 @@ async function injectUnderName(el, viewId) {
                 line-height:1.15;
                 white-space:nowrap;
                 overflow:hidden;
-                text-overflow:ellipsis;
-                color:#0b1020;
-                background:${fixtureBgByDifficulty(f.difficulty)};
-              ">${label}</span>`;
+                text-overflow:ellipsis;`;
+      fixtureHtml = slots.length > 0
+        ? `
+          <div style="margin-top:2px; display:grid; grid-template-columns:repeat(${slots.length},minmax(0,1fr)); gap:2px; max-width:100%;">
+            ${slots.map((slot) => {
+              if (slot.fixtures.length === 0) {
+                return `<span title="GW${slot.event}: blank" style="${cellStyle}
+                  color:#94a3b8;
+                  background:#1f2937;
+                  border:1px dashed #475569;
+                ">–</span>`;
+              }
+              return `<span title="GW${slot.event}${slot.fixtures.length > 1 ? ": double" : ""}" style="display:flex; flex-direction:column; gap:1px; min-width:0;">
+                ${slot.fixtures.map((f) => `<span style="${cellStyle}
+                  color:#0b1020;
+                  background:${fixtureBgByDifficulty(getFixtureDifficulty(f, element_type))};
+                ">${String(f.oppShort || "?").toLowerCase()}</span>`).join("")}
+              </span>`;
             }).join("")}
           </div>
         `
         : "";
     }
 
+    const live = Number(eventIdForView) === Number(liveState?.eventId)
+      ? liveState.byElement.get(Number(id))
+      : null;
+    // Who actually scores on this pitch once auto-subs and the armband are applied.
+    let liveMultiplierText = "";
+    let liveRoleHtml = "";
+    if (live) {
+      const viewSquad = await loadViewSquad(eventIdForView);
+      if (viewSquad.ids.has(Number(id))) {
+        const subs = applyAutoSubs(viewSquad, liveState);
+        const multiplier = subs.multipliers.get(Number(id));
+        if (multiplier > 1) liveMultiplierText = ` ×${multiplier}`;
+        let role = "";
+        if (subs.subsIn.includes(Number(id))) role = `<span style="color:#22c55e">AUTO-SUB IN</span>`;
+        else if (subs.subsOut.includes(Number(id))) role = `<span style="color:#ef4444">SUBBED OUT</span>`;
+        else if (subs.viceActivated && subs.armband === Number(id)) role = `<span style="color:#fbbf24">VC → C</span>`;
+        else if (multiplier === 0) role = `<span style="color:#64748b">BENCH</span>`;
+        if (role) liveRoleHtml = `${role}<br />`;
+      }
+    }
+    const liveHtml = live
+      ? `<span class="fpl-live-line" style="color:${live.inProgress ? "#22c55e" : "#cbd5e1"}">Live: ${live.points} pts${liveMultiplierText}${live.provisionalBonus > 0 ? ` (+${live.provisionalBonus} bonus*)` : (live.bonus > 0 ? ` (${live.bonus} bonus)` : "")} · ${live.minutes}'</span><br />${liveRoleHtml}`
+      : "";
+
     // Calculate predicted points for next GW
     const xPtsValue = Number(playerById[id]?.ep_next || 0);
     const xPtsText = xPtsValue > 0 ? xPtsValue.toFixed(1) : "n/a";
@@ -584,16 +1229,13 @@ async function injectUnderName(el, viewId) {
         ? `<span style="color:#cbd5e1">DC: ${stats.hasCurrentGwDc ? stats.currentGwDc : "n/a"}</span><br />`
         : ``}
       ${!isPointsView
-        ? (isDef
-          ? `<span style="color:#cbd5e1">CS: ${stats.cs5}/5</span><br />
-             <span style="color:#cbd5e1">DC: ${stats.hasDC ? `${stats.dc10Matches5}/5` : "n/a"}</span><br />`
-          : isGk
-            ? `<span style="color:#cbd5e1">CS: ${stats.cs5}/5</span><br />
-               <span style="color:#cbd5e1">SP: ${stats.savePoints5}</span><br />
-               <span style="color:#cbd5e1">xGC/match: ${stats.hasXGC ? Number(stats.xgcPerMatch5).toFixed(2) : "n/a"}</span><br />`
-            : `<span style="color:#cbd5e1">xGI/90: ${stats.xgi90.toFixed(2)}</span><br />`)
+        ? getBadgeMetricKeys(element_type)
+          .map((key) => `<span style="color:#cbd5e1">${formatBadgeMetric(key, stats)}</span><br />`)
+          .join("")
         : ``}
-      <span style="color:${xPtsColor}">xPts: ${xPtsText}</span><br />
+      ${liveHtml}
+      <span style="color:${xPtsColor}">xPts: ${xPtsText}</span>${getPriceMarkerHtml(id)}<br />
+      ${eoHtml}
       ${diffBadge}
       ${fixtureHtml}
     `;
@@ -628,6 +1270,13 @@ function parseEventIdFromPath(pathname) {
   return Number.isFinite(ev) && ev > 0 ? ev : null;
 }
 
+function parseLeagueIdFromPath(pathname) {
+  const m = String(pathname || "").match(/\/leagues\/(\d+)\/standings(?:\/|$)/);
+  if (!m) return null;
+  const id = Number(m[1]);
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
 function formatPercent(value) {
   const n = Number(value);
   if (!Number.isFinite(n)) return "n/a";
@@ -640,17 +1289,25 @@ async function loadLeagueStandingsEntries(leagueId, limit) {
   let page = 1;
 
   while (out.length < limit) {
-    const url = `${BASE}/leagues-classic/${leagueId}/standings/?page_new_entries=1&page_standings=${page}`;
-    const res = await fetch(url);
-    if (!res.ok) break;
-
-    const data = await res.json();
+    let data;
+    try {
+      data = await fetchApiJson(`/leagues-classic/${leagueId}/standings/?page_new_entries=1&page_standings=${page}`);
+    } catch (_) {
+      break;
+    }
+    const leagueName = String(data?.league?.name || "").trim();
+    if (leagueName) leagueNameById.set(Number(leagueId), leagueName);
+    if (data?.league?.league_type) leagueTypeById.set(Number(leagueId), String(data.league.league_type));
     const rows = Array.isArray(data?.standings?.results) ? data.standings.results : [];
     if (rows.length === 0) break;
 
-    for (const row of rows) {
+    for (const [i, row] of rows.entries()) {
       out.push(row);
-      if (out.length >= limit) break;
+      if (out.length < limit) continue;
+      if (limit >= LEAGUE_EO_RIVALS_LIMIT && (i < rows.length - 1 || data?.standings?.has_next)) {
+        cappedLeagueIds.add(Number(leagueId));
+      }
+      break;
     }
 
     if (!data?.standings?.has_next) break;
@@ -660,240 +1317,267 @@ async function loadLeagueStandingsEntries(leagueId, limit) {
   return out;
 }
 
-async function loadLeagueEOForEvent(eventId) {
+// Rival analysis only covers the top LEAGUE_EO_RIVALS_LIMIT entries of bigger leagues.
+function isLeagueCapped(leagueId) {
+  return cappedLeagueIds.has(Number(leagueId));
+}
+
+// System leagues have millions of entries and make no useful rival set; those fall back
+// to the tracked league.
+async function resolveRivalLeagueId(leagueId) {
+  const id = Number(leagueId);
+  if (!Number.isFinite(id) || id < 1) return getActiveLeagueId();
+  if (!leagueTypeById.has(id)) await loadLeagueStandingsEntries(id, 1);
+  return leagueTypeById.get(id) === "s" ? getActiveLeagueId() : id;
+}
+
+async function resolveMyEntryIdForRivals() {
+  const myIdFromApi = await loadMyEntryId();
+  const myIdFromPath = getMyEntryIdFromPath();
+  const myIdFromNav = getMyEntryIdFromNav();
+  const myIdFromCache = Number(getCachedMyFreeTransfers()?.entryId);
+  return [myIdFromApi, myIdFromPath, myIdFromNav, myIdFromCache]
+    .map((v) => Number(v))
+    .find((v) => Number.isFinite(v) && v > 0);
+}
+
+// Squad model shared by my team and rivals. picks keep FPL's squad order
+// (positions 1-11 start, 12-15 bench) and the multiplier FPL assigned:
+// { entryId, eventId, name, chip, transfersCost, picks: [{ element, position, multiplier,
+//   isCaptain, isViceCaptain, elementType }], ids: Set<playerId>, captain, viceCaptain }
+function createSquad(data, entryId, eventId) {
+  const picks = (Array.isArray(data?.picks) ? data.picks : [])
+    .map((pick) => ({
+      element: Number(pick?.element),
+      position: Number(pick?.position),
+      multiplier: Number(pick?.multiplier ?? 1),
+      isCaptain: Boolean(pick?.is_captain),
+      isViceCaptain: Boolean(pick?.is_vice_captain),
+      elementType: Number(pick?.element_type ?? playerById[Number(pick?.element)]?.element_type)
+    }))
+    .filter((pick) => Number.isFinite(pick.element))
+    .sort((a, b) => a.position - b.position);
+  const cost = Number(data?.entry_history?.event_transfers_cost ?? 0);
+  return {
+    entryId: Number(entryId),
+    eventId: Number(eventId),
+    name: String(data?.entry_history?.entry_name || ""),
+    chip: String(data?.active_chip || "").trim().toLowerCase(),
+    transfersCost: Number.isFinite(cost) ? cost : 0,
+    picks,
+    ids: new Set(picks.map((pick) => pick.element)),
+    captain: picks.find((pick) => pick.isCaptain)?.element ?? null,
+    viceCaptain: picks.find((pick) => pick.isViceCaptain)?.element ?? null
+  };
+}
+
+function createEmptySquad(entryId, eventId) {
+  return createSquad(null, entryId, eventId);
+}
+
+function getStarters(squad) {
+  return (squad?.picks || []).filter((pick) => pick.position <= 11);
+}
+
+function getBench(squad) {
+  return (squad?.picks || []).filter((pick) => pick.position > 11);
+}
+
+// One manager's squad for a GW (see createSquad), or null.
+async function loadEntryPicks(entryId, eventId) {
+  try {
+    const data = await fetchApiJson(`/entry/${entryId}/event/${eventId}/picks/`);
+    return createSquad(data, entryId, eventId);
+  } catch (e) {
+    debugLog("loadEntryPicks failed", entryId, eventId, e);
+    return null;
+  }
+}
+
+// Single store of rival picks per (league, event). Every league consumer
+// (ownership, EO, rival diffs) reads from here so each rival is fetched once.
+async function loadRivalPicks(eventId, leagueId = getActiveLeagueId()) {
   const ev = Number(eventId);
-  if (!Number.isFinite(ev) || ev < 1) return { eoByPlayerId: new Map(), rivalsCount: 0 };
-  if (leagueEoCache.has(ev)) return leagueEoCache.get(ev);
-  if (leagueEoPending.has(ev)) return leagueEoPending.get(ev);
+  const league = Number(leagueId);
+  const empty = { eventId: ev, leagueId: league, rivals: new Map() };
+  if (!Number.isFinite(ev) || ev < 1 || !Number.isFinite(league) || league < 1) return empty;
+
+  const key = `${league}:${ev}`;
+  if (rivalPicksCache.has(key)) return rivalPicksCache.get(key);
+  if (rivalPicksPending.has(key)) return rivalPicksPending.get(key);
 
   const p = (async () => {
     try {
-      const myIdFromApi = await loadMyEntryId();
-      const myIdFromPath = getMyEntryIdFromPath();
-      const myIdFromNav = getMyEntryIdFromNav();
-      const myIdFromCache = Number(getCachedMyFreeTransfers()?.entryId);
-      const myId = [myIdFromApi, myIdFromPath, myIdFromNav, myIdFromCache]
-        .map((v) => Number(v))
-        .find((v) => Number.isFinite(v) && v > 0);
-      const standings = await loadLeagueStandingsEntries(LEAGUE_EO_ID, LEAGUE_EO_RIVALS_LIMIT);
-      const rivals = standings
+      // Exclude my own entry from the rival set.
+      const myId = await resolveMyEntryIdForRivals();
+      const standings = await loadLeagueStandingsEntries(league, LEAGUE_EO_RIVALS_LIMIT);
+      const rivalIds = standings
         .map((row) => Number(row?.entry))
         .filter((id) => Number.isFinite(id) && id > 0 && (!Number.isFinite(myId) || Number(id) !== Number(myId)))
         .slice(0, LEAGUE_EO_RIVALS_LIMIT);
 
-      if (rivals.length === 0) {
-        const empty = { eoByPlayerId: new Map(), rivalsCount: 0 };
-        leagueEoCache.set(ev, empty);
-        return empty;
-      }
-
-      const eoUnitsByPlayer = new Map();
-      let successfulRivals = 0;
-      await mapWithConcurrency(rivals, CAPTAIN_FETCH_CONCURRENCY, async (entryId) => {
-        try {
-          const res = await fetch(`${BASE}/entry/${entryId}/event/${ev}/picks/`);
-          if (!res.ok) return;
-
-          const data = await res.json();
-          const picks = Array.isArray(data?.picks) ? data.picks : [];
-          const isTripleCaptain = String(data?.active_chip || "").trim().toLowerCase() === "3xc";
-          successfulRivals += 1;
-
-          for (const pick of picks) {
-            const playerId = Number(pick?.element);
-            if (!Number.isFinite(playerId)) continue;
-
-            // Owned = +1
-            eoUnitsByPlayer.set(playerId, (eoUnitsByPlayer.get(playerId) || 0) + 1);
-
-            // Captain = +1 extra, Triple Captain = +1 extra again
-            if (pick?.is_captain) {
-              eoUnitsByPlayer.set(playerId, (eoUnitsByPlayer.get(playerId) || 0) + 1);
-              if (isTripleCaptain) {
-                eoUnitsByPlayer.set(playerId, (eoUnitsByPlayer.get(playerId) || 0) + 1);
-              }
-            }
-          }
-        } catch (_) {
-          // Ignore one rival failure; EO still works with remaining rivals.
-        }
+      const rivals = new Map(); // entryId -> squad (see createSquad)
+      await mapWithConcurrency(rivalIds, CAPTAIN_FETCH_CONCURRENCY, async (entryId) => {
+        // Individual rival failures are skipped; the rest of the league still counts.
+        const entryPicks = await loadEntryPicks(entryId, ev);
+        if (entryPicks) rivals.set(entryId, entryPicks);
       });
 
-      if (successfulRivals === 0) {
-        const empty = { eoByPlayerId: new Map(), rivalsCount: 0 };
-        leagueEoCache.set(ev, empty);
-        return empty;
-      }
-
-      const eoByPlayerId = new Map();
-      for (const [playerId, eoUnits] of eoUnitsByPlayer.entries()) {
-        eoByPlayerId.set(playerId, (Number(eoUnits) / successfulRivals) * 100);
-      }
-
-      const out = { eoByPlayerId, rivalsCount: successfulRivals };
-      leagueEoCache.set(ev, out);
+      const out = { eventId: ev, leagueId: league, rivals };
+      rivalPicksCache.set(key, out);
       return out;
     } catch (e) {
-      debugLog("loadLeagueEOForEvent failed", ev, e);
-      const out = { eoByPlayerId: new Map(), rivalsCount: 0 };
-      leagueEoCache.set(ev, out);
-      return out;
+      debugLog("loadRivalPicks failed", league, ev, e);
+      rivalPicksCache.set(key, empty);
+      return empty;
     } finally {
-      leagueEoPending.delete(ev);
+      rivalPicksPending.delete(key);
     }
   })();
 
-  leagueEoPending.set(ev, p);
+  rivalPicksPending.set(key, p);
   return p;
 }
 
-async function loadMiniLeagueOwnership(eventId) {
+// Pre-match stand-in for live data: players whose team has no fixture in the GW
+// are known not to play, everyone else is still pending. fixturesByTeam only holds
+// unstarted fixtures, so this is only trusted before the deadline.
+function buildBlankGameweekState(eventId) {
   const ev = Number(eventId);
-  if (!Number.isFinite(ev) || ev < 1) {
-    return { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
+  const byElement = new Map();
+  const deadline = eventDeadlineById.get(ev);
+  if (!fixturesLoaded || !Number.isFinite(deadline) || deadline <= Date.now()) return { eventId: ev, byElement };
+  for (const [playerId, p] of Object.entries(playerById)) {
+    const teamFixtures = fixturesByTeam.get(Number(p.team)) || [];
+    const plays = teamFixtures.some((f) => Number(f.event) === ev);
+    if (!plays) byElement.set(Number(playerId), { minutes: 0, points: 0, fixturesDone: true });
   }
+  return { eventId: ev, byElement };
+}
 
-  if (miniLeagueOwnershipCache.has(ev)) return miniLeagueOwnershipCache.get(ev);
-  if (miniLeagueOwnershipPending.has(ev)) return miniLeagueOwnershipPending.get(ev);
+// Live data for the GW if we have it, otherwise the pre-match blank state.
+function getPlayStateForEvent(eventId) {
+  if (liveState && Number(liveState.eventId) === Number(eventId)) return liveState;
+  return buildBlankGameweekState(eventId);
+}
 
-  const p = (async () => {
-    try {
-      // Get user's entry ID to exclude from rivals
-      const myIdFromApi = await loadMyEntryId();
-      const myIdFromPath = getMyEntryIdFromPath();
-      const myIdFromNav = getMyEntryIdFromNav();
-      const myIdFromCache = Number(getCachedMyFreeTransfers()?.entryId);
-      const myId = [myIdFromApi, myIdFromPath, myIdFromNav, myIdFromCache]
-        .map((v) => Number(v))
-        .find((v) => Number.isFinite(v) && v > 0);
-
-      // Fetch all league standings
-      const standings = await loadLeagueStandingsEntries(LEAGUE_EO_ID, LEAGUE_EO_RIVALS_LIMIT);
-      const rivals = standings
-        .map((row) => Number(row?.entry))
-        .filter((id) => Number.isFinite(id) && id > 0 && (!Number.isFinite(myId) || Number(id) !== Number(myId)))
-        .slice(0, LEAGUE_EO_RIVALS_LIMIT);
+// Effective multiplier per pick. Past GWs without live data (and every processed GW) use
+// FPL's own pick multipliers, which already include auto-subs and the vice's armband; the
+// live and upcoming GWs run the auto-sub engine.
+function getSquadMultipliers(squad, eventId) {
+  const ev = Number(eventId);
+  const hasLive = liveState && Number(liveState.eventId) === ev;
+  const deadline = eventDeadlineById.get(ev);
+  const locked = Number.isFinite(deadline) && deadline <= Date.now();
+  if (isEventFinal(ev) || (locked && !hasLive)) {
+    return new Map((squad?.picks || []).map((pick) => [pick.element, Number(pick.multiplier) || 0]));
+  }
+  return applyAutoSubs(squad, getPlayStateForEvent(ev)).multipliers;
+}
 
-      if (rivals.length === 0) {
-        const empty = { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
-        miniLeagueOwnershipCache.set(ev, empty);
-        return empty;
+// EO model: every pick contributes its effective multiplier – bench 0 (1 with Bench
+// Boost), captain 2, triple captain 3, and the vice inherits the armband when the
+// captain does not play. eoPct = average multiplier across rivals; startingPct counts
+// rivals who field the player, ownershipPct those who merely have him in the squad.
+function calculateLeagueOwnership(rivalPicks) {
+  const rivals = rivalPicks?.rivals instanceof Map ? rivalPicks.rivals : new Map();
+  const totalRivals = rivals.size;
+  const playerOwnershipMap = new Map(); // playerId -> { ownedBy: Set, startedBy: Set, captainedBy: Set, tripleCaptainedBy: Set, eoUnits }
+  const rivalTeams = new Map(); // entryId -> squad (see createSquad)
+
+  for (const [entryId, rival] of rivals.entries()) {
+    const multipliers = getSquadMultipliers(rival, rivalPicks?.eventId);
+    for (const pick of rival.picks) {
+      const playerId = pick.element;
+      if (!playerOwnershipMap.has(playerId)) {
+        playerOwnershipMap.set(playerId, {
+          ownedBy: new Set(),
+          startedBy: new Set(),
+          captainedBy: new Set(),
+          tripleCaptainedBy: new Set(),
+          eoUnits: 0
+        });
       }
+      const data = playerOwnershipMap.get(playerId);
+      const multiplier = multipliers.get(playerId) || 0;
+      data.ownedBy.add(entryId);
+      data.eoUnits += multiplier;
+      if (multiplier > 0) data.startedBy.add(entryId);
+      if (multiplier >= 2) data.captainedBy.add(entryId);
+      if (multiplier >= 3) data.tripleCaptainedBy.add(entryId);
+    }
 
-      // Build ownership maps
-      const playerOwnershipMap = new Map(); // playerId -> { ownedBy: Set, captainedBy: Set, tripleCaptainedBy: Set }
-      const rivalTeamsMap = new Map(); // entryId -> { name, picks: Set, captain, viceCaptain, chip }
-      let successfulRivals = 0;
+    rivalTeams.set(entryId, rival);
+  }
 
-      await mapWithConcurrency(rivals, CAPTAIN_FETCH_CONCURRENCY, async (entryId) => {
-        try {
-          const res = await fetch(`${BASE}/entry/${entryId}/event/${ev}/picks/`);
-          if (!res.ok) return;
-
-          const data = await res.json();
-          const picks = Array.isArray(data?.picks) ? data.picks : [];
-          successfulRivals += 1;
-
-          // Store rival team info
-          const pickIds = new Set();
-          let captainId = null;
-          let viceCaptainId = null;
-
-          for (const pick of picks) {
-            const playerId = Number(pick?.element);
-            if (!Number.isFinite(playerId)) continue;
-
-            pickIds.add(playerId);
-
-            // Initialize ownership tracking for this player
-            if (!playerOwnershipMap.has(playerId)) {
-              playerOwnershipMap.set(playerId, {
-                ownedBy: new Set(),
-                captainedBy: new Set(),
-                tripleCaptainedBy: new Set()
-              });
-            }
-
-            // Track ownership
-            playerOwnershipMap.get(playerId).ownedBy.add(entryId);
-
-            // Track captaincy
-            if (pick?.is_captain) {
-              captainId = playerId;
-              playerOwnershipMap.get(playerId).captainedBy.add(entryId);
-            }
-            if (pick?.is_vice_captain) {
-              viceCaptainId = playerId;
-            }
-          }
-
-          rivalTeamsMap.set(entryId, {
-            name: String(data?.entry_history?.entry_name || ""),
-            picks: pickIds,
-            captain: captainId,
-            viceCaptain: viceCaptainId,
-            chip: String(data?.active_chip || "").toLowerCase()
-          });
-
-          // Triple captain contributes one extra EO unit on top of captaincy.
-          if (Number.isFinite(Number(captainId)) && String(data?.active_chip || "").toLowerCase() === "3xc") {
-            const capData = playerOwnershipMap.get(Number(captainId));
-            if (capData) capData.tripleCaptainedBy.add(entryId);
-          }
-        } catch (_) {
-          // Ignore individual rival failures
-        }
+  const playerOwnership = new Map();
+  if (totalRivals > 0) {
+    for (const [playerId, data] of playerOwnershipMap.entries()) {
+      playerOwnership.set(playerId, {
+        ownedBy: data.ownedBy,
+        ownershipPct: (data.ownedBy.size / totalRivals) * 100,
+        startedBy: data.startedBy,
+        startingPct: (data.startedBy.size / totalRivals) * 100,
+        captainedBy: data.captainedBy,
+        captainPct: (data.captainedBy.size / totalRivals) * 100,
+        tripleCaptainedBy: data.tripleCaptainedBy,
+        tripleCaptainPct: (data.tripleCaptainedBy.size / totalRivals) * 100,
+        eoPct: (data.eoUnits / totalRivals) * 100
       });
+    }
+  }
 
-      if (successfulRivals === 0) {
-        const empty = { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
-        miniLeagueOwnershipCache.set(ev, empty);
-        return empty;
-      }
+  return {
+    eventId: rivalPicks?.eventId,
+    leagueId: rivalPicks?.leagueId,
+    totalRivals,
+    playerOwnership,
+    rivalTeams
+  };
+}
 
-      // Calculate ownership percentages
-      const playerOwnership = new Map();
-      for (const [playerId, data] of playerOwnershipMap.entries()) {
-        const ownershipPct = (data.ownedBy.size / successfulRivals) * 100;
-        const captainPct = (data.captainedBy.size / successfulRivals) * 100;
-        const tripleCaptainPct = (data.tripleCaptainedBy.size / successfulRivals) * 100;
-        const eoPct = ownershipPct + captainPct + tripleCaptainPct;
-        playerOwnership.set(playerId, {
-          ownedBy: data.ownedBy,
-          ownershipPct,
-          captainedBy: data.captainedBy,
-          captainPct,
-          tripleCaptainedBy: data.tripleCaptainedBy,
-          tripleCaptainPct,
-          eoPct
-        });
-      }
+async function loadLeagueEOForEvent(eventId, leagueId = getActiveLeagueId()) {
+  const ownership = await loadMiniLeagueOwnership(eventId, leagueId);
+  const eoByPlayerId = new Map();
+  for (const [playerId, own] of ownership.playerOwnership.entries()) {
+    eoByPlayerId.set(playerId, own.eoPct);
+  }
+  return { eoByPlayerId, rivalsCount: ownership.totalRivals };
+}
 
-      const result = {
-        eventId: ev,
-        totalRivals: successfulRivals,
-        playerOwnership,
-        rivalTeams: rivalTeamsMap
-      };
-      miniLeagueOwnershipCache.set(ev, result);
+async function loadMiniLeagueOwnership(eventId, leagueId = getActiveLeagueId()) {
+  const ev = Number(eventId);
+  const league = Number(leagueId);
+  if (!Number.isFinite(ev) || ev < 1 || !Number.isFinite(league) || league < 1) {
+    return { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
+  }
+
+  const key = `${league}:${ev}`;
+  if (miniLeagueOwnershipCache.has(key)) return miniLeagueOwnershipCache.get(key);
+  if (miniLeagueOwnershipPending.has(key)) return miniLeagueOwnershipPending.get(key);
+
+  const p = (async () => {
+    try {
+      const result = calculateLeagueOwnership(await loadRivalPicks(ev, league));
+      miniLeagueOwnershipCache.set(key, result);
       return result;
     } catch (e) {
-      debugLog("loadMiniLeagueOwnership failed", ev, e);
+      debugLog("loadMiniLeagueOwnership failed", league, ev, e);
       const out = { playerOwnership: new Map(), rivalTeams: new Map(), totalRivals: 0 };
-      miniLeagueOwnershipCache.set(ev, out);
+      miniLeagueOwnershipCache.set(key, out);
       return out;
     } finally {
-      miniLeagueOwnershipPending.delete(ev);
+      miniLeagueOwnershipPending.delete(key);
     }
   })();
 
-  miniLeagueOwnershipPending.set(ev, p);
+  miniLeagueOwnershipPending.set(key, p);
   return p;
 }
 
 async function loadMyCurrentTeam(eventId) {
   const ev = Number(eventId);
-  if (!Number.isFinite(ev) || ev < 1) return new Set();
+  if (!Number.isFinite(ev) || ev < 1) return createEmptySquad(null, ev);
 
   if (myCurrentTeamCache.has(ev)) return myCurrentTeamCache.get(ev);
   if (myCurrentTeamPending.has(ev)) return myCurrentTeamPending.get(ev);
@@ -901,35 +1585,16 @@ async function loadMyCurrentTeam(eventId) {
   const p = (async () => {
     try {
       const myId = await loadMyEntryId();
-      if (!Number.isFinite(myId)) {
-        myCurrentTeamCache.set(ev, new Set());
-        return new Set();
-      }
-
-      const res = await fetch(`${BASE}/entry/${myId}/event/${ev}/picks/`);
-      if (!res.ok) {
-        debugLog(`loadMyCurrentTeam failed for event ${ev}: HTTP ${res.status}`);
-        myCurrentTeamCache.set(ev, new Set());
-        return new Set();
-      }
-
-      const data = await res.json();
-      const picks = Array.isArray(data?.picks) ? data.picks : [];
-      const pickIds = new Set();
-
-      for (const pick of picks) {
-        const playerId = Number(pick?.element);
-        if (Number.isFinite(playerId)) {
-          pickIds.add(playerId);
-        }
-      }
-
-      myCurrentTeamCache.set(ev, pickIds);
-      return pickIds;
+      const squad = Number.isFinite(myId)
+        ? (await loadEntryPicks(myId, ev)) || createEmptySquad(myId, ev)
+        : createEmptySquad(null, ev);
+      myCurrentTeamCache.set(ev, squad);
+      return squad;
     } catch (e) {
       debugLog("loadMyCurrentTeam failed", ev, e);
-      myCurrentTeamCache.set(ev, new Set());
-      return new Set();
+      const empty = createEmptySquad(null, ev);
+      myCurrentTeamCache.set(ev, empty);
+      return empty;
     } finally {
       myCurrentTeamPending.delete(ev);
     }
@@ -939,23 +1604,34 @@ async function loadMyCurrentTeam(eventId) {
   return p;
 }
 
-async function calculateDifferentialInsights(eventId) {
+// Squad shown on the current pitch: the entry in the URL on points pages, otherwise mine.
+async function loadViewSquad(eventId) {
+  const pathEntryId = parseEntryIdFromHref(window.location.pathname || "");
+  const myId = await loadMyEntryId();
+  if (Number.isFinite(pathEntryId) && pathEntryId !== Number(myId)) {
+    return (await loadEntryPicks(pathEntryId, eventId)) || createEmptySquad(pathEntryId, eventId);
+  }
+  return loadMyCurrentTeam(eventId);
+}
+
+async function calculateDifferentialInsights(eventId, leagueId = getActiveLeagueId()) {
   const ev = Number(eventId);
   if (!Number.isFinite(ev) || ev < 1) {
     return {
+      leagueId,
       myDifferentials: [],
       templatesMissing: [],
       myTemplates: [],
       uniquePicks: 0,
       differentialCount: 0,
       templateCount: 0,
-      myTeam: new Set()
+      myTeam: createEmptySquad(null, ev)
     };
   }
 
   try {
     const [ownershipData, myTeam] = await Promise.all([
-      loadMiniLeagueOwnership(ev),
+      loadMiniLeagueOwnership(ev, leagueId),
       loadMyCurrentTeam(ev)
     ]);
 
@@ -965,7 +1641,7 @@ async function calculateDifferentialInsights(eventId) {
     const templatesMissing = [];
 
     // Analyze my team
-    for (const playerId of myTeam) {
+    for (const playerId of myTeam.ids) {
       const ownData = ownershipData.playerOwnership.get(playerId);
       const ownershipPct = ownData?.ownershipPct || 0;
       const ownedByCount = ownData?.ownedBy?.size || 0;
@@ -994,7 +1670,7 @@ async function calculateDifferentialInsights(eventId) {
 
     // Find templates I'm missing
     for (const [playerId, ownData] of ownershipData.playerOwnership.entries()) {
-      if (myTeam.has(playerId)) continue; // I already own this player
+      if (myTeam.ids.has(playerId)) continue; // I already own this player
 
       if (ownData.ownershipPct > OWNERSHIP_THRESHOLDS.threat) {
         // Check if top 3 rivals own this player
@@ -1021,6 +1697,7 @@ async function calculateDifferentialInsights(eventId) {
     templatesMissing.sort((a, b) => b.ownershipPct - a.ownershipPct);
 
     return {
+      leagueId,
       myDifferentials,
       templatesMissing,
       myTemplates,
@@ -1032,17 +1709,60 @@ async function calculateDifferentialInsights(eventId) {
   } catch (e) {
     debugLog("calculateDifferentialInsights failed", ev, e);
     return {
+      leagueId,
       myDifferentials: [],
       templatesMissing: [],
       myTemplates: [],
       uniquePicks: 0,
       differentialCount: 0,
       templateCount: 0,
-      myTeam: new Set()
+      myTeam: createEmptySquad(null, ev)
     };
   }
 }
 
+// My pending selection from /my-team/ (captain, bench order, bank) as edited on the site,
+// before it is locked into public picks at the deadline. It changes on every save, so it is
+// only memoized for the live TTL and dropped on navigation and UI resets.
+async function loadMyTeamSelection() {
+  if (myTeamSelectionCache && myTeamSelectionCache.expiresAt > Date.now()) return myTeamSelectionCache.value;
+  if (myTeamSelectionPending) return myTeamSelectionPending;
+
+  const p = (async () => {
+    try {
+      const expiresAt = Date.now() + API_CACHE_TTL_MS.live;
+      const myId = await loadMyEntryId();
+      if (!Number.isFinite(myId)) {
+        myTeamSelectionCache = { expiresAt, value: null };
+        return null;
+      }
+      const data = await fetchApiJson(`/my-team/${myId}/`, { credentials: "include" });
+      const bank = Number(data?.transfers?.bank);
+      const value = {
+        squad: createSquad(data, myId, nextEventId ?? currentEventId),
+        bank: Number.isFinite(bank) ? bank : null,
+        transfers: data?.transfers || null,
+        // Chip played for the upcoming GW ("wildcard", "freehit", …), or null.
+        activeChip: (Array.isArray(data?.chips) ? data.chips : []).find((c) => c?.status_for_entry === "active")?.name || null,
+        sellingPriceById: new Map((Array.isArray(data?.picks) ? data.picks : [])
+          .filter((pick) => Number.isFinite(Number(pick?.selling_price)))
+          .map((pick) => [Number(pick.element), Number(pick.selling_price)]))
+      };
+      myTeamSelectionCache = { expiresAt, value };
+      return value;
+    } catch (e) {
+      debugLog("loadMyTeamSelection failed", e);
+      myTeamSelectionCache = { expiresAt: Date.now() + API_CACHE_TTL_MS.live, value: null };
+      return null;
+    } finally {
+      myTeamSelectionPending = null;
+    }
+  })();
+
+  myTeamSelectionPending = p;
+  return p;
+}
+
 function getCachedMyFreeTransfers() {
   try {
     const raw = localStorage.getItem(MY_FT_CACHE_KEY);
@@ -1204,9 +1924,7 @@ async function loadMyEntryId() {
         return myEntryId;
       }
 
-      const res = await fetch(`${BASE}/me/`, { credentials: "include" });
-      if (!res.ok) throw new Error(`me failed: HTTP ${res.status}`);
-      const data = await res.json();
+      const data = await fetchApiJson("/me/", { credentials: "include" });
       const fromPlayer = Number(data?.player?.entry);
       const fromEntry = Number(data?.entry);
       const resolved = Number.isFinite(fromPlayer)
@@ -1233,28 +1951,30 @@ async function loadMyTeamTransfers(entryId, eventIdHint) {
   if (!Number.isFinite(Number(entryId))) return null;
   const cacheKey = Number.isFinite(Number(eventIdHint)) ? String(eventIdHint) : "default";
   if (myTeamTransfersCache && myTeamTransfersCache[cacheKey]) return myTeamTransfersCache[cacheKey];
-  if (myTeamTransfersPending) return myTeamTransfersPending;
+  if (myTeamTransfersPending.has(cacheKey)) return myTeamTransfersPending.get(cacheKey);
 
   const p = (async () => {
     try {
-      const urls = [];
+      const paths = [];
       if (Number.isFinite(Number(eventIdHint))) {
-        urls.push(`${BASE}/my-team/${entryId}/?event=${Number(eventIdHint)}`);
+        paths.push(`/my-team/${entryId}/?event=${Number(eventIdHint)}`);
       }
-      urls.push(`${BASE}/my-team/${entryId}/`);
+      paths.push(`/my-team/${entryId}/`);
 
+      // First URL that answers wins; the event-specific one is the more precise.
       let best = null;
-      for (const url of urls) {
-        const res = await fetch(url, { credentials: "include" });
-        if (!res.ok) continue;
-        const data = await res.json();
+      for (const path of paths) {
+        let data;
+        try {
+          data = await fetchApiJson(path, { credentials: "include" });
+        } catch (_) {
+          continue;
+        }
         const limitRaw = Number(data?.transfers?.limit);
         const madeRaw = Number(data?.transfers?.made);
         if (!Number.isFinite(limitRaw) || !Number.isFinite(madeRaw)) continue;
-        const remaining = Math.max(0, limitRaw - madeRaw);
-        if (!best || remaining > best.remaining) {
-          best = { limit: limitRaw, made: madeRaw, remaining };
-        }
+        best = { limit: limitRaw, made: madeRaw, remaining: Math.max(0, limitRaw - madeRaw) };
+        break;
       }
 
       if (!best) {
@@ -1272,11 +1992,11 @@ async function loadMyTeamTransfers(entryId, eventIdHint) {
       myTeamTransfersCache[cacheKey] = null;
       return null;
     } finally {
-      myTeamTransfersPending = null;
+      myTeamTransfersPending.delete(cacheKey);
     }
   })();
 
-  myTeamTransfersPending = p;
+  myTeamTransfersPending.set(cacheKey, p);
   return p;
 }
 
@@ -1296,10 +2016,140 @@ function getStandingsRows() {
 }
 
 function cleanupCaptainInjections() {
-  document.querySelectorAll(".fpl-captain-header, .fpl-captain-cell, .fpl-captain-inline, .fpl-captain-inline-row, .fpl-league-meta, .fpl-league-transfers, .fpl-league-debug").forEach((n) => n.remove());
+  document.querySelectorAll(".fpl-captain-header, .fpl-captain-cell, .fpl-captain-inline, .fpl-captain-inline-row, .fpl-league-meta, .fpl-league-transfers, .fpl-league-debug, .fpl-league-live").forEach((n) => n.remove());
+}
+
+function closeFreeTransferLedger() {
+  document.querySelectorAll(".fpl-ft-ledger").forEach((n) => n.remove());
+}
+
+function renderFreeTransferLedgerHtml(data, transfersData) {
+  const rows = Array.isArray(data?.ftLedger?.rows) ? data.ftLedger.rows : [];
+  const namesByEvent = new Map();
+  for (const t of Array.isArray(transfersData) ? transfersData : []) {
+    const ev = Number(t?.event);
+    if (!Number.isFinite(ev)) continue;
+    const outId = Number(t?.element_out);
+    const inId = Number(t?.element_in);
+    const outName = playerById[outId]?.web_name || `#${outId}`;
+    const inName = playerById[inId]?.web_name || `#${inId}`;
+    if (!namesByEvent.has(ev)) namesByEvent.set(ev, []);
+    namesByEvent.get(ev).push(`${outName} → ${inName}`);
+  }
+
+  const cell = "padding:2px 6px; text-align:right; white-space:nowrap;";
+  const body = rows.slice().reverse().map((r) => {
+    const names = namesByEvent.get(r.event) || [];
+    const notes = r.notes.length > 0 ? r.notes.join("; ") : "";
+    return `
+      <tr style="border-top:1px solid #334155; ${r.inferred ? "opacity:0.6;" : ""}" title="${notes}">
+        <td style="${cell} text-align:left;">GW${r.event}</td>
+        <td style="${cell}">${r.ftStart == null ? "∞" : r.ftStart}</td>
+        <td style="${cell}">${r.transfers}</td>
+        <td style="${cell}">${r.freeUsed}</td>
+        <td style="${cell} color:${r.hits > 0 ? "#ef4444" : "inherit"};">${r.hits > 0 ? `${r.hits} (-${r.hitCost})` : "0"}</td>
+        <td style="${cell} text-align:center;">${r.chip || ""}</td>
+        <td style="${cell} font-weight:700;">${r.ftEnd}</td>
+        <td style="padding:2px 6px; color:#9fb3c8; max-width:220px;">${names.join(", ")}${notes ? `<div style="color:#fbbf24;">${notes}</div>` : ""}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const candidates = Array.isArray(data?.ftCandidates) ? data.ftCandidates : [];
+  const sources = candidates.length > 1
+    ? `
+      <div style="margin-top:8px; color:#94a3b8;">
+        Sources (best rank wins):
+        ${candidates.map((c) => `
+          <div style="${c.label === data.remainingTransfersSource ? "color:#22c55e; font-weight:700;" : ""}">
+            ${c.rank}. ${c.label}: ${c.value == null ? "–" : c.value}${c.fresh ? "" : " (stale)"}${c.note ? ` – ${c.note}` : ""}
+          </div>
+        `).join("")}
+      </div>
+    `
+    : "";
+
+  return `
+    <div style="font-weight:700; color:#fff; margin-bottom:6px;">Free transfer ledger</div>
+    ${rows.length === 0 ? `<div style="color:#94a3b8;">No history available.</div>` : `
+      <table style="border-collapse:collapse; font-size:11px;">
+        <thead>
+          <tr style="color:#94a3b8;">
+            <th style="${cell} text-align:left;">GW</th>
+            <th style="${cell}">FT start</th>
+            <th style="${cell}">Made</th>
+            <th style="${cell}">Free</th>
+            <th style="${cell}">Hits</th>
+            <th style="${cell} text-align:center;">Chip</th>
+            <th style="${cell}">FT end</th>
+            <th style="padding:2px 6px; text-align:left;">Transfers</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    `}
+    ${sources}
+  `;
 }
 
-function injectLeagueMetaIntoTeamCell(row, data, eventId, diffData) {
+async function openFreeTransferLedger(anchor, data, pinned) {
+  const existing = document.querySelector(".fpl-ft-ledger");
+  if (existing && existing.dataset.entryId === String(data?.entryId)) {
+    if (pinned) existing.dataset.pinned = "true";
+    return;
+  }
+  closeFreeTransferLedger();
+
+  const pop = document.createElement("div");
+  pop.className = "fpl-ft-ledger";
+  pop.dataset.entryId = String(data?.entryId);
+  pop.dataset.pinned = pinned ? "true" : "false";
+  pop.style.cssText = `
+    position: absolute;
+    z-index: 10000;
+    max-height: 360px;
+    overflow: auto;
+    background: #0f172a;
+    border: 1px solid #334155;
+    border-radius: 6px;
+    padding: 8px;
+    color: #e2e8f0;
+    font-size: 11px;
+    box-shadow: 0 8px 24px rgba(0,0,0,0.45);
+  `;
+  const rect = anchor.getBoundingClientRect();
+  pop.style.left = `${Math.round(rect.left + window.scrollX)}px`;
+  pop.style.top = `${Math.round(rect.bottom + window.scrollY + 4)}px`;
+  pop.innerHTML = `<div style="color:#94a3b8;">Loading ledger…</div>`;
+  pop.addEventListener("mouseleave", () => {
+    if (pop.dataset.pinned !== "true") pop.remove();
+  });
+  document.body.appendChild(pop);
+
+  const transfersData = Number.isFinite(Number(data?.entryId))
+    ? await loadEntryTransfers(Number(data.entryId))
+    : [];
+  if (!pop.isConnected) return;
+  pop.innerHTML = renderFreeTransferLedgerHtml(data, transfersData);
+}
+
+function attachFreeTransferLedger(chip, data) {
+  chip.style.cursor = "pointer";
+  chip.style.textDecoration = "underline dotted";
+  chip.addEventListener("mouseenter", () => openFreeTransferLedger(chip, data, false));
+  chip.addEventListener("mouseleave", (e) => {
+    const pop = document.querySelector(".fpl-ft-ledger");
+    if (!pop || pop.dataset.pinned === "true" || pop.contains(e.relatedTarget)) return;
+    pop.remove();
+  });
+  chip.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openFreeTransferLedger(chip, data, true);
+  });
+}
+
+function injectLeagueMetaIntoTeamCell(row, data, eventId, diffData, liveRow) {
   const teamCell = row.querySelector("[role='rowheader'], td:nth-child(2)");
   if (!teamCell) return;
 
@@ -1328,7 +2178,11 @@ function injectLeagueMetaIntoTeamCell(row, data, eventId, diffData) {
     chip.style.borderRadius = "10px";
     chip.style.color = "#cbd5e1";
     chip.style.whiteSpace = "nowrap";
-    chip.textContent = `${item.label}: ${value}`;
+    const source = item.sourceKey ? data?.[item.sourceKey] : null;
+    chip.textContent = source ? `${item.label}: ${value} (${source})` : `${item.label}: ${value}`;
+    if (item.key === "remainingTransfers" && data?.ftLedger) {
+      attachFreeTransferLedger(chip, data);
+    }
     wrap.appendChild(chip);
   }
 
@@ -1369,10 +2223,15 @@ function injectLeagueMetaIntoTeamCell(row, data, eventId, diffData) {
     diffWrap.style.color = "#cbd5e1";
 
     const diffStats = document.createElement("div");
-    diffStats.innerHTML = `
-      <span style="color:#22c55e">Diffs: ${diffData.differentialCount}</span> |
-      <span style="color:#fbbf24">Templates: ${diffData.templateCount}</span>
-    `;
+    if (diffData.outsideCap) {
+      diffStats.style.color = "#64748b";
+      diffStats.textContent = `Outside the top ${LEAGUE_EO_RIVALS_LIMIT}: no diffs or live projection`;
+    } else {
+      diffStats.innerHTML = `
+        <span style="color:#22c55e">Diffs: ${diffData.differentialCount}</span> |
+        <span style="color:#fbbf24">Templates: ${diffData.templateCount}</span>
+      `;
+    }
     diffWrap.appendChild(diffStats);
 
     if (diffData.threatsToYou?.length > 0) {
@@ -1389,6 +2248,22 @@ function injectLeagueMetaIntoTeamCell(row, data, eventId, diffData) {
     teamCell.appendChild(diffWrap);
   }
 
+  const existingLive = teamCell.querySelector(".fpl-league-live");
+  if (existingLive) existingLive.remove();
+  if (liveRow) {
+    const liveWrap = document.createElement("div");
+    liveWrap.className = "fpl-league-live";
+    liveWrap.style.marginTop = "4px";
+    liveWrap.style.fontSize = "11px";
+    liveWrap.style.fontWeight = "600";
+    liveWrap.style.color = liveState?.inProgress ? "#22c55e" : "#cbd5e1";
+    const move = liveRow.movement > 0
+      ? `<span style="color:#22c55e">▲${liveRow.movement}</span>`
+      : (liveRow.movement < 0 ? `<span style="color:#ef4444">▼${-liveRow.movement}</span>` : `<span style="color:#94a3b8">=</span>`);
+    liveWrap.innerHTML = `Live: ${liveRow.liveScore} pts${liveRow.hits > 0 ? ` (-${liveRow.hits})` : ""} · proj #${liveRow.projectedRank} ${move}`;
+    teamCell.appendChild(liveWrap);
+  }
+
   const existingDebug = teamCell.querySelector(".fpl-league-debug");
   if (existingDebug) existingDebug.remove();
   if (SHOW_FT_DEBUG && data?.ftDebug) {
@@ -1411,9 +2286,7 @@ async function loadEntryHistory(entryId) {
 
   const p = (async () => {
     try {
-      const res = await fetch(`${BASE}/entry/${entryId}/history/`);
-      if (!res.ok) throw new Error(`entry history failed ${entryId}: HTTP ${res.status}`);
-      const data = await res.json();
+      const data = await fetchApiJson(`/entry/${entryId}/history/`);
       entryHistoryCache.set(entryId, data);
       return data;
     } catch (e) {
@@ -1435,9 +2308,7 @@ async function loadEntryTransfers(entryId) {
 
   const p = (async () => {
     try {
-      const res = await fetch(`${BASE}/entry/${entryId}/transfers/`);
-      if (!res.ok) throw new Error(`entry transfers failed ${entryId}: HTTP ${res.status}`);
-      const data = await res.json();
+      const data = await fetchApiJson(`/entry/${entryId}/transfers/`);
       const arr = Array.isArray(data) ? data : [];
       entryTransfersCache.set(entryId, arr);
       return arr;
@@ -1454,20 +2325,31 @@ async function loadEntryTransfers(entryId) {
   return p;
 }
 
-function computeRemainingTransfers(historyData, eventId, currentEventData) {
+function isWildcardChip(name) {
+  const s = String(name || "").toLowerCase();
+  return s === "wc" || s.includes("wildcard");
+}
+
+function isFreeHitChip(name) {
+  const s = String(name || "").toLowerCase();
+  return s === "fh" || s.includes("freehit") || s.includes("free_hit");
+}
+
+function getSeasonRules(startYear = seasonStartYear) {
+  const rules = FT_SEASON_RULES[Number(startYear)];
+  return { ...FT_DEFAULT_SEASON_RULES, ...(rules || {}) };
+}
+
+// Simulates free-transfer accrual GW by GW and returns one ledger row per gameweek
+// from the entry's first GW up to eventId:
+// { event, ftStart, transfers, freeUsed, hits, hitCost, chip, ftEnd, inferred, notes }.
+// ftStart is null for the first GW (unlimited transfers before the first deadline).
+function buildFreeTransferLedger(historyData, eventId, currentEventData, rules = getSeasonRules()) {
   const targetEvent = Number(eventId);
   if (!Number.isFinite(targetEvent) || targetEvent < 1) return null;
 
   const currentRows = Array.isArray(historyData?.current) ? historyData.current : [];
   const chips = Array.isArray(historyData?.chips) ? historyData.chips : [];
-  const isWildcardChip = (name) => {
-    const s = String(name || "").toLowerCase();
-    return s === "wc" || s.includes("wildcard");
-  };
-  const isFreeHitChip = (name) => {
-    const s = String(name || "").toLowerCase();
-    return s === "fh" || s.includes("freehit") || s.includes("free_hit");
-  };
 
   const rowByEvent = new Map();
   for (const r of currentRows) {
@@ -1483,13 +2365,35 @@ function computeRemainingTransfers(historyData, eventId, currentEventData) {
     chipByEvent.set(ev, String(c?.name || "").toLowerCase());
   }
 
-  // Simulate GW by GW so missing rows don't break FT accrual.
-  let ftEndPrev = 1; // after GW0 / before GW1
-  for (let ev = 1; ev <= targetEvent; ev += 1) {
-    const ftStart = ev === 1 ? 1 : Math.min(5, ftEndPrev + 1);
+  // Late joiners have no history rows before their first GW; treat that GW as their GW1.
+  // No rows at all means the history did not load, not a GW1 – leave the count unknown.
+  const historyEvents = Array.from(rowByEvent.keys());
+  if (historyEvents.length === 0) return null;
+  const firstEvent = Math.min(...historyEvents);
+  if (firstEvent > targetEvent) return null;
+
+  const topUpByEvent = new Map();
+  for (const t of Array.isArray(rules.topUps) ? rules.topUps : []) {
+    if (Number.isFinite(Number(t?.event))) topUpByEvent.set(Number(t.event), t);
+  }
+
+  const rows = [];
+  let ftEndPrev = 0;
+  for (let ev = firstEvent; ev <= targetEvent; ev += 1) {
+    const notes = [];
+    const isFirst = ev === firstEvent;
+    let ftStart = isFirst ? null : Math.min(rules.maxBanked, ftEndPrev + rules.perGw);
+    if (isFirst) notes.push(ev === 1 ? "season start: unlimited transfers" : "joined late: unlimited transfers");
+
+    const topUp = topUpByEvent.get(ev);
+    if (topUp && ftStart != null && ftStart < Number(topUp.setTo)) {
+      ftStart = Math.min(rules.maxBanked, Number(topUp.setTo));
+      notes.push(topUp.reason || `top-up to ${topUp.setTo}`);
+    }
 
     const row = rowByEvent.get(ev);
     const isCurrent = ev === targetEvent;
+    // The picks endpoint updates before history does, so prefer it for the current GW.
     const chipRaw = isCurrent
       ? String(currentEventData?.activeChipRaw || chipByEvent.get(ev) || "")
       : String(chipByEvent.get(ev) || "");
@@ -1501,44 +2405,217 @@ function computeRemainingTransfers(historyData, eventId, currentEventData) {
     const costRaw = isCurrent
       ? Number(currentEventData?.eventTransfersCost ?? row?.event_transfers_cost ?? 0)
       : Number(row?.event_transfers_cost ?? 0);
+    const inferred = !row && !(isCurrent && currentEventData);
+    if (inferred) notes.push("no history row: assumed no transfers");
+
+    const transfers = Number.isFinite(transfersRaw) ? Math.max(0, transfersRaw) : 0;
+    const hitCost = Number.isFinite(costRaw) ? Math.max(0, costRaw) : 0;
+    const hits = Math.floor(hitCost / rules.hitCost);
+
+    let freeUsed;
+    let ftEnd;
+    if (ftStart == null) {
+      freeUsed = transfers;
+      ftEnd = 0;
+    } else if (isWildcardChip(chip) || isFreeHitChip(chip)) {
+      // Banked free transfers are kept when a Wildcard or Free Hit is played.
+      freeUsed = 0;
+      ftEnd = ftStart;
+      notes.push(`${formatChip(chip)}: transfers are free, FT kept`);
+    } else {
+      freeUsed = Math.min(ftStart, Math.max(0, transfers - hits));
+      ftEnd = Math.max(0, ftStart - freeUsed);
+    }
 
-    const transfers = Number.isFinite(transfersRaw) ? transfersRaw : 0;
-    const transferCost = Number.isFinite(costRaw) ? costRaw : 0;
-    // transfer cost is always 4 points per paid transfer.
-    const paidTransfers = Math.max(0, Math.floor(transferCost / 4));
-    const freeTransfersUsed = Math.max(0, transfers - paidTransfers);
+    rows.push({
+      event: ev,
+      ftStart,
+      transfers,
+      freeUsed,
+      hits,
+      hitCost,
+      chip: chip ? formatChip(chip) : "",
+      ftEnd,
+      inferred,
+      notes
+    });
+    ftEndPrev = ftEnd;
+  }
 
-    if (isWildcardChip(chip)) {
-      // With modern FT rules, wildcard should not consume banked free transfers.
-      ftEndPrev = ftStart;
-      continue;
-    }
-    if (isFreeHitChip(chip)) {
-      ftEndPrev = ftStart;
-      continue;
-    }
+  return {
+    firstEvent,
+    rows,
+    remaining: rows.length > 0 ? rows[rows.length - 1].ftEnd : null
+  };
+}
 
-    ftEndPrev = Math.max(0, ftStart - freeTransfersUsed);
-  }
-
-  // Fallback guard: if current GW exists in history but is stale/missing cost fields,
-  // avoid reporting 0 when it should likely be at least 1 after subtracted paid moves.
-  if (
-    targetEvent > 1 &&
-    Number(currentEventData?.eventTransfers ?? 0) > 0 &&
-    Number(currentEventData?.eventTransfersCost ?? 0) >= 0 &&
-    ftEndPrev === 0
-  ) {
-    const currentTransfers = Math.max(0, Number(currentEventData?.eventTransfers ?? 0));
-    const currentPaid = Math.max(0, Math.floor(Number(currentEventData?.eventTransfersCost ?? 0) / 4));
-    const currentFreeUsed = Math.max(0, currentTransfers - currentPaid);
-    // If we used fewer than 2 free transfers this GW, 0 remaining is typically a stale-history artifact.
-    if (currentFreeUsed <= 1) {
-      return 1;
-    }
+function computeRemainingTransfers(historyData, eventId, currentEventData) {
+  const ledger = buildFreeTransferLedger(historyData, eventId, currentEventData);
+  return ledger ? ledger.remaining : null;
+}
+
+function getManualFreeTransfers(now = Date.now()) {
+  const manual = settings?.manualFreeTransfers;
+  if (!manual || !Number.isFinite(Number(manual.value))) return null;
+  if (!Number.isFinite(Number(manual.expiresAt)) || Number(manual.expiresAt) <= now) return null;
+  return Number(manual.value);
+}
+
+function collectFreeTransferCandidates(entryId, sources) {
+  const {
+    isMine,
+    myTeamCurrent,
+    myTeamNext,
+    htmlFt,
+    calcRemaining,
+    transfersMade
+  } = sources;
+  const candidates = [];
+  const add = (key, value, fresh, note) => {
+    const meta = FT_SOURCES.find((s) => s.key === key);
+    if (!meta) return;
+    candidates.push({
+      key,
+      label: meta.label,
+      rank: meta.rank,
+      value: Number.isFinite(Number(value)) && value !== null ? Number(value) : null,
+      fresh: Boolean(fresh),
+      note: note || ""
+    });
+  };
+
+  if (isMine) {
+    // Some unauthenticated/partial sources return 0; treat those as stale
+    // when we know transfers were made this GW.
+    const suspectZero = (v) => transfersMade > 0 && Number(v) === 0;
+
+    const manual = getManualFreeTransfers();
+    add("manual", manual, manual != null, manual != null ? "until next deadline" : "not set or expired");
+
+    const next = myTeamNext ? myTeamNext.remaining : null;
+    add("myTeamNext", next, next != null && !suspectZero(next), suspectZero(next) ? "0 after transfers" : "");
+
+    const current = myTeamCurrent ? myTeamCurrent.remaining : null;
+    add("myTeamCurrent", current, current != null && !suspectZero(current), suspectZero(current) ? "0 after transfers" : "");
+
+    // A scrape of the page open in this tab beats re-fetching the HTML.
+    const page = Number.isFinite(Number(myFreeTransfersMemory)) && myFreeTransfersMemory !== null
+      ? Number(myFreeTransfersMemory)
+      : (Number.isFinite(Number(htmlFt)) && htmlFt !== null ? Number(htmlFt) : null);
+    add("transfersPage", page, page != null && !suspectZero(page), suspectZero(page) ? "0 after transfers" : "");
+
+    // Saved values are only trusted if written after the most recent deadline.
+    const cachedFt = getCachedMyFreeTransfers();
+    const cachedMatches = cachedFt && (cachedFt.entryId == null || Number(cachedFt.entryId) === Number(entryId));
+    const lastDeadline = getLastDeadlineMs();
+    const cachedFresh = Boolean(cachedMatches)
+      && (lastDeadline == null || cachedFt.updatedAt >= lastDeadline)
+      && !suspectZero(cachedFt.value);
+    add("localStorage", cachedMatches ? cachedFt.value : null, cachedFresh, cachedMatches && !cachedFresh ? "saved before last deadline" : "");
+  }
+
+  add("calc", calcRemaining, calcRemaining != null, "");
+  return candidates;
+}
+
+function resolveFreeTransfers(candidates) {
+  const usable = (Array.isArray(candidates) ? candidates : [])
+    .filter((c) => c.fresh && Number.isFinite(c.value))
+    .sort((a, b) => a.rank - b.rank);
+  const winner = usable[0] || null;
+  return {
+    value: winner ? winner.value : null,
+    source: winner ? winner.label : null,
+    candidates: Array.isArray(candidates) ? candidates : []
+  };
+}
+
+// FPL sell-on rule: half of any profit, rounded down to the nearest £0.1m; losses in full.
+function calculateSellingPrice(purchasePrice, nowCost) {
+  if (!(nowCost > purchasePrice)) return nowCost;
+  return purchasePrice + Math.floor((nowCost - purchasePrice) / 2);
+}
+
+// Price a player was bought at: the last transfer in (the caller drops earlier free-hit GWs,
+// which revert), otherwise the price when the manager started.
+async function resolvePurchasePrice(playerId, transfers, startedEvent) {
+  const lastIn = transfers
+    .filter((t) => Number(t?.element_in) === Number(playerId))
+    .sort((a, b) => (Date.parse(String(b?.time || "")) || 0) - (Date.parse(String(a?.time || "")) || 0))[0];
+  if (lastIn && Number.isFinite(Number(lastIn.element_in_cost))) {
+    return { price: Number(lastIn.element_in_cost), known: true };
+  }
+
+  const p = playerById[playerId];
+  const seasonStartPrice = Number(p?.now_cost || 0) - Number(p?.cost_change_start || 0);
+  if (startedEvent <= 1) return { price: seasonStartPrice, known: true };
+  const stats = await loadPlayerData(playerId);
+  const match = (stats?.matches || []).find((m) => m.round >= startedEvent && m.value > 0);
+  return match ? { price: match.value, known: true } : { price: seasonStartPrice, known: false };
+}
+
+// { eventId, bank, marketValue, sellingValue, players: [{ element, purchasePrice, nowCost, sellingPrice, known }] }
+// for a squad, rebuilt from the manager's transfers and history. Prices in tenths of £m.
+async function calculateEntryFinances(squad, historyData, transfersData, eventId) {
+  const ev = Number(eventId);
+  const rows = Array.isArray(historyData?.current) ? historyData.current : [];
+  const chips = Array.isArray(historyData?.chips) ? historyData.chips : [];
+  const freeHitEvents = new Set(chips.filter((c) => isFreeHitChip(c?.name)).map((c) => Number(c?.event)));
+  const historyRow = rows.filter((r) => Number(r?.event) <= ev).sort((a, b) => Number(b.event) - Number(a.event))[0];
+  const startedEvent = rows.length > 0 ? Math.min(...rows.map((r) => Number(r.event))) : 1;
+  const transfers = (Array.isArray(transfersData) ? transfersData : [])
+    .filter((t) => Number(t?.event) <= ev && (Number(t?.event) === ev || !freeHitEvents.has(Number(t?.event))));
+
+  const players = await Promise.all((squad?.picks || []).map(async (pick) => {
+    const nowCost = Number(playerById[pick.element]?.now_cost || 0);
+    const purchase = await resolvePurchasePrice(pick.element, transfers, startedEvent);
+    return {
+      element: pick.element,
+      purchasePrice: purchase.price,
+      nowCost,
+      sellingPrice: calculateSellingPrice(purchase.price, nowCost),
+      known: purchase.known
+    };
+  }));
+
+  const bank = Number(historyRow?.bank);
+  return {
+    eventId: ev,
+    bank: Number.isFinite(bank) ? bank : null,
+    marketValue: players.reduce((sum, p) => sum + p.nowCost, 0),
+    sellingValue: players.reduce((sum, p) => sum + p.sellingPrice, 0),
+    players
+  };
+}
+
+// My finances for the insights panel: FPL's own selling prices and bank from /my-team/
+// when logged in, otherwise rebuilt like a rival's.
+async function loadMyFinances(eventId) {
+  const selection = await loadMyTeamSelection();
+  if (selection && selection.sellingPriceById.size > 0) {
+    const players = selection.squad.picks.map((pick) => {
+      const nowCost = Number(playerById[pick.element]?.now_cost || 0);
+      const sellingPrice = getSellingPrice(selection, pick.element);
+      return { element: pick.element, purchasePrice: null, nowCost, sellingPrice, known: true };
+    });
+    return {
+      eventId: selection.squad.eventId,
+      bank: selection.bank,
+      marketValue: players.reduce((sum, p) => sum + p.nowCost, 0),
+      sellingValue: players.reduce((sum, p) => sum + p.sellingPrice, 0),
+      players
+    };
   }
 
-  return ftEndPrev;
+  const myId = await loadMyEntryId();
+  if (!Number.isFinite(myId)) return null;
+  const [squad, historyData, transfersData] = await Promise.all([
+    loadMyCurrentTeam(eventId),
+    loadEntryHistory(myId),
+    loadEntryTransfers(myId)
+  ]);
+  if (!squad || squad.picks.length === 0) return null;
+  return calculateEntryFinances(squad, historyData, transfersData, eventId);
 }
 
 async function loadEntryLeagueData(entryId, eventId) {
@@ -1550,8 +2627,8 @@ async function loadEntryLeagueData(entryId, eventId) {
     try {
       const localMyEntryId = await loadMyEntryId();
       const shouldLoadMyTeam = Number(entryId) === Number(localMyEntryId);
-      const [picksRes, historyData, transfersData, myTeamCurrent, myTeamNext, htmlFt] = await Promise.all([
-        fetch(`${BASE}/entry/${entryId}/event/${eventId}/picks/`),
+      const [data, historyData, transfersData, myTeamCurrent, myTeamNext, htmlFt] = await Promise.all([
+        fetchApiJson(`/entry/${entryId}/event/${eventId}/picks/`),
         loadEntryHistory(entryId),
         loadEntryTransfers(entryId),
         shouldLoadMyTeam ? loadMyTeamTransfers(entryId, eventId) : Promise.resolve(null),
@@ -1560,9 +2637,6 @@ async function loadEntryLeagueData(entryId, eventId) {
           : Promise.resolve(null),
         shouldLoadMyTeam ? loadMyFreeTransfersFromTransfersHtml() : Promise.resolve(null)
       ]);
-      const res = picksRes;
-      if (!res.ok) throw new Error(`entry picks failed ${entryId}/${eventId}: HTTP ${res.status}`);
-      const data = await res.json();
       const picks = Array.isArray(data?.picks) ? data.picks : [];
       const cap = picks.find((x) => x && x.is_captain);
       const vc = picks.find((x) => x && x.is_vice_captain);
@@ -1576,58 +2650,26 @@ async function loadEntryLeagueData(entryId, eventId) {
       const transferCost = Number(data?.entry_history?.event_transfers_cost ?? 0);
       const transfersMadeRaw = Number(data?.entry_history?.event_transfers ?? 0);
       const transfersMade = Number.isFinite(transfersMadeRaw) ? transfersMadeRaw : 0;
-      const remainingTransfers = computeRemainingTransfers(historyData, eventId, {
+      const ftLedger = buildFreeTransferLedger(historyData, eventId, {
         activeChipRaw: rawChip,
         eventTransfers: transfersMade,
         eventTransfersCost: transferCost
       });
-      const exactRemainingCurrent =
-        myTeamCurrent && Number.isFinite(myTeamCurrent.remaining)
-          ? Number(myTeamCurrent.remaining)
-          : null;
-      const exactRemainingNext =
-        myTeamNext && Number.isFinite(myTeamNext.remaining)
-          ? Number(myTeamNext.remaining)
-          : null;
-      const exactRemainingProjected =
-        Number.isFinite(exactRemainingCurrent)
-          ? Math.min(5, Math.max(0, exactRemainingCurrent + 1))
-          : null;
-      const calcRemaining = remainingTransfers == null ? null : Number(remainingTransfers);
-      const cachedFt = shouldLoadMyTeam ? getCachedMyFreeTransfers() : null;
-      const memoryRemaining =
-        shouldLoadMyTeam && Number.isFinite(Number(myFreeTransfersMemory))
-          ? Number(myFreeTransfersMemory)
-          : null;
-      const cachedRemaining =
-        cachedFt &&
-        Number.isFinite(cachedFt.value) &&
-        (cachedFt.entryId == null || Number(cachedFt.entryId) === Number(entryId))
-          ? Number(cachedFt.value)
-          : null;
-      const htmlRemaining = Number.isFinite(Number(htmlFt)) ? Number(htmlFt) : null;
-      const manualRemaining = shouldLoadMyTeam && Number.isFinite(Number(MANUAL_MY_REMAINING_FT))
-        ? Number(MANUAL_MY_REMAINING_FT)
-        : null;
-      // Some unauthenticated/partial sources return 0; treat those as unreliable
-      // when we know transfers were made this GW.
-      const ignoreZeroFromFallbacks = transfersMade > 0;
-      const safeCur = ignoreZeroFromFallbacks && exactRemainingCurrent === 0 ? null : exactRemainingCurrent;
-      const safeNext = ignoreZeroFromFallbacks && exactRemainingNext === 0 ? null : exactRemainingNext;
-      const safeProj = ignoreZeroFromFallbacks && exactRemainingProjected === 0 ? null : exactRemainingProjected;
-      const safeMem = ignoreZeroFromFallbacks && memoryRemaining === 0 ? null : memoryRemaining;
-      const safeCache = ignoreZeroFromFallbacks && cachedRemaining === 0 ? null : cachedRemaining;
-      const safeHtml = ignoreZeroFromFallbacks && htmlRemaining === 0 ? null : htmlRemaining;
-      const mergedRemaining =
-        shouldLoadMyTeam
-          ? [manualRemaining, safeCur, safeNext, safeProj, safeMem, safeCache, safeHtml, calcRemaining]
-              .filter((v) => Number.isFinite(v))
-              .reduce((max, v) => Math.max(max, v), -1)
-          : (Number.isFinite(calcRemaining) ? calcRemaining : -1);
+      const remainingTransfers = ftLedger ? ftLedger.remaining : null;
+      const ftResolution = resolveFreeTransfers(collectFreeTransferCandidates(entryId, {
+        isMine: shouldLoadMyTeam,
+        myTeamCurrent,
+        myTeamNext,
+        htmlFt,
+        calcRemaining: remainingTransfers == null ? null : Number(remainingTransfers),
+        transfersMade
+      }));
       const ftDebug = shouldLoadMyTeam
-        ? `FTdbg my=${entryId} ev=${eventId} next=${nextEventId} calc=${calcRemaining} cur=${exactRemainingCurrent} nextVal=${exactRemainingNext} proj=${exactRemainingProjected} mem=${memoryRemaining} cache=${cachedRemaining} html=${htmlRemaining} manual=${manualRemaining} merged=${mergedRemaining} t=${transfersMade} cost=${transferCost} chip=${chip}`
+        ? `FTdbg my=${entryId} ev=${eventId} next=${nextEventId} ${ftResolution.candidates.map((c) => `${c.key}=${c.value}${c.fresh ? "" : "!"}`).join(" ")} -> ${ftResolution.value} (${ftResolution.source}) t=${transfersMade} cost=${transferCost} chip=${chip}`
         : null;
 
+      const finances = await calculateEntryFinances(createSquad(data, entryId, eventId), historyData, transfersData, eventId);
+
       const eventTransfers = Array.isArray(transfersData)
         ? transfersData.filter((t) => Number(t?.event) === Number(eventId))
         : [];
@@ -1650,9 +2692,20 @@ async function loadEntryLeagueData(entryId, eventId) {
         chip,
         transferCost,
         transfersMade,
-        remainingTransfers: mergedRemaining < 0 ? (remainingTransfers == null ? "n/a" : remainingTransfers) : mergedRemaining,
+        remainingTransfers: ftResolution.value == null ? "n/a" : ftResolution.value,
+        remainingTransfersSource: ftResolution.source,
+        ftCandidates: ftResolution.candidates,
+        ftLedger,
+        entryId: Number(entryId),
         transferLines,
-        ftDebug
+        ftDebug,
+        finances,
+        teamValue: finances.players.length > 0 ? formatCost(finances.marketValue) : null,
+        bankText: finances.bank == null ? null : formatCost(finances.bank),
+        // what the squad would raise if sold today, plus the bank
+        sellValue: finances.players.length > 0 && finances.bank != null
+          ? formatCost(finances.sellingValue + finances.bank)
+          : null
       };
       leagueDataCache.set(key, out);
       return out;
@@ -1665,8 +2718,16 @@ async function loadEntryLeagueData(entryId, eventId) {
         transferCost: 0,
         transfersMade: 0,
         remainingTransfers: "n/a",
+        remainingTransfersSource: null,
+        ftCandidates: [],
+        ftLedger: null,
+        entryId: Number(entryId),
         transferLines: [],
-        ftDebug: null
+        ftDebug: null,
+        finances: null,
+        teamValue: null,
+        bankText: null,
+        sellValue: null
       };
       leagueDataCache.set(key, out);
       return out;
@@ -1717,7 +2778,7 @@ async function scanPitchNameBadges(viewId) {
     for (const el of nameNodes) {
       const name = (el.textContent || "").trim();
       if (!name) continue;
-      if (!playerMap[name]) continue;
+      if (lookupPlayerCandidates(name).length === 0) continue;
       targets.push(el);
     }
     await mapWithConcurrency(targets, 6, (el) => injectUnderName(el, viewId));
@@ -1758,8 +2819,7 @@ async function scanPitchNameBadges(viewId) {
   let node;
   while ((node = walker.nextNode())) {
     const name = (node.nodeValue || "").trim();
-    const player = playerMap[name];
-    if (!player) continue;
+    if (lookupPlayerCandidates(name).length === 0) continue;
 
     const el = node.parentElement;
     if (!el) continue;
@@ -1780,14 +2840,16 @@ async function scanPitchNameBadges(viewId) {
   debugLog(`[${viewId}] fallback matched name nodes:`, matched);
 }
 
-function calculateRivalDiffData(rivalTeam, myTeam, ownershipData) {
+function calculateRivalDiffData(rivalTeam, myTeam, ownershipData, leagueId) {
   if (!rivalTeam || !myTeam || !ownershipData) return null;
+  // Diffs/templates only make sense against the rival set of the league being compared.
+  if (Number.isFinite(Number(leagueId)) && Number(ownershipData.leagueId) !== Number(leagueId)) return null;
 
   let differentialCount = 0;
   let templateCount = 0;
   const threatsToYou = [];
 
-  for (const playerId of rivalTeam.picks) {
+  for (const playerId of rivalTeam.ids) {
     const own = ownershipData.playerOwnership.get(playerId);
     if (own) {
       if (own.ownershipPct < OWNERSHIP_THRESHOLDS.differential) {
@@ -1799,18 +2861,157 @@ function calculateRivalDiffData(rivalTeam, myTeam, ownershipData) {
     }
 
     // Threat: they have it, you don't, and it's high ownership
-    if (!myTeam.has(playerId) && own?.ownershipPct > OWNERSHIP_THRESHOLDS.threat) {
+    if (!myTeam.ids.has(playerId) && own?.ownershipPct > OWNERSHIP_THRESHOLDS.threat) {
       threatsToYou.push(playerId);
     }
   }
 
   return {
+    leagueId: ownershipData.leagueId,
     differentialCount,
     templateCount,
     threatsToYou
   };
 }
 
+// Live status of one player: "played", "dnp" (0 minutes and all fixtures done,
+// including blanks) or "pending" (could still play).
+function getLivePlayStatus(live, playerId) {
+  const l = live?.byElement?.get(Number(playerId));
+  if (!l) return "pending";
+  if (l.minutes > 0) return "played";
+  return l.fixturesDone ? "dnp" : "pending";
+}
+
+function isValidFormation(picks) {
+  const counts = { 1: 0, 2: 0, 3: 0, 4: 0 };
+  for (const pick of picks) {
+    if (counts[pick.elementType] != null) counts[pick.elementType] += 1;
+  }
+  return Object.entries(FORMATION_LIMITS).every(([type, { min, max }]) => counts[type] >= min && counts[type] <= max);
+}
+
+// Auto-sub engine following FPL's rules: each starter who did not play is replaced,
+// in pitch order, by the first bench player (bench order) who played and keeps a valid
+// formation – undecided while an earlier eligible bench player's match is still to come.
+// The GK can only be replaced by the bench GK. If the captain did not play the
+// vice-captain takes the armband. Bench Boost scores all 15 with no subs.
+// Returns { multipliers: Map<playerId, number>, subsIn, subsOut, armband, viceActivated }.
+function applyAutoSubs(squad, live) {
+  const picks = Array.isArray(squad?.picks) ? squad.picks : [];
+  const isBenchBoost = squad?.chip === "bboost";
+  const captainMultiplier = squad?.chip === "3xc" ? 3 : 2;
+  const subsIn = [];
+  const subsOut = [];
+
+  let xi = isBenchBoost ? [...picks] : getStarters(squad);
+  if (!isBenchBoost) {
+    const bench = getBench(squad);
+    const usedBench = new Set();
+    for (const starter of getStarters(squad)) {
+      if (getLivePlayStatus(live, starter.element) !== "dnp") continue;
+      const isGk = starter.elementType === 1;
+      let sub = null;
+      for (const b of bench) {
+        if (usedBench.has(b.element)) continue;
+        if ((b.elementType === 1) !== isGk) continue;
+        if (!isValidFormation(xi.map((p) => (p.element === starter.element ? b : p)))) continue;
+        const status = getLivePlayStatus(live, b.element);
+        if (status === "dnp") continue;
+        // Bench order is strict: a bench player yet to play holds the slot until he does.
+        if (status === "played") sub = b;
+        break;
+      }
+      if (!sub) continue;
+      usedBench.add(sub.element);
+      xi = xi.map((p) => (p.element === starter.element ? sub : p));
+      subsOut.push(starter.element);
+      subsIn.push(sub.element);
+    }
+  }
+
+  const inXi = new Set(xi.map((p) => p.element));
+  let armband = squad?.captain ?? null;
+  let viceActivated = false;
+  if (armband != null && getLivePlayStatus(live, armband) === "dnp") {
+    const vice = squad?.viceCaptain;
+    armband = null;
+    if (vice != null && inXi.has(vice) && getLivePlayStatus(live, vice) !== "dnp") {
+      armband = vice;
+      viceActivated = true;
+    }
+  }
+
+  const multipliers = new Map();
+  for (const pick of picks) {
+    if (!inXi.has(pick.element)) {
+      multipliers.set(pick.element, 0);
+      continue;
+    }
+    multipliers.set(pick.element, pick.element === armband ? captainMultiplier : 1);
+  }
+
+  return { multipliers, subsIn, subsOut, armband, viceActivated };
+}
+
+// Live GW score for one manager: live points times the auto-sub engine's multipliers, minus hits.
+function calculateLiveEntryScore(squad, live) {
+  if (!squad || !live?.byElement) return null;
+  const { multipliers } = applyAutoSubs(squad, live);
+  let points = 0;
+  for (const [playerId, multiplier] of multipliers.entries()) {
+    points += Number(live.byElement.get(playerId)?.points || 0) * multiplier;
+  }
+  const hits = Number(squad.transfersCost || 0);
+  return { points: points - hits, grossPoints: points, hits };
+}
+
+// Projects live totals and ranks for every entry in a league standings table.
+// Returns Map<entryId, { liveScore, hits, projectedTotal, projectedRank, currentRank, movement }>.
+async function loadLiveLeagueProjection(leagueId, eventId) {
+  const out = new Map();
+  if (!liveState || Number(liveState.eventId) !== Number(eventId)) return out;
+
+  const [standings, rivalPicks, myId] = await Promise.all([
+    loadLeagueStandingsEntries(leagueId, LEAGUE_EO_RIVALS_LIMIT),
+    loadRivalPicks(eventId, leagueId),
+    resolveMyEntryIdForRivals()
+  ]);
+
+  const rows = [];
+  for (const row of standings) {
+    const entryId = Number(row?.entry);
+    if (!Number.isFinite(entryId)) continue;
+    let squad = rivalPicks.rivals.get(entryId);
+    if (!squad && entryId === Number(myId)) squad = await loadMyCurrentTeam(eventId);
+    const score = calculateLiveEntryScore(squad, liveState);
+    if (!score) continue;
+
+    // Standings totals may already include part of this GW; swap it for the live score.
+    const total = Number(row?.total || 0);
+    const eventTotal = Number(row?.event_total || 0);
+    rows.push({
+      entryId,
+      liveScore: score.points,
+      hits: score.hits,
+      projectedTotal: total - eventTotal + score.points,
+      currentRank: Number(row?.rank) || null
+    });
+  }
+
+  rows.sort((a, b) => b.projectedTotal - a.projectedTotal);
+  rows.forEach((r, i) => {
+    // Equal totals share a rank.
+    const projectedRank = i > 0 && rows[i - 1].projectedTotal === r.projectedTotal
+      ? rows[i - 1].projectedRank
+      : i + 1;
+    r.projectedRank = projectedRank;
+    r.movement = Number.isFinite(r.currentRank) ? r.currentRank - projectedRank : 0;
+    out.set(r.entryId, r);
+  });
+  return out;
+}
+
 async function scanLeagueStandingsCaptains(viewId) {
   if (!currentEventId) return;
 
@@ -1828,18 +3029,25 @@ async function scanLeagueStandingsCaptains(viewId) {
   }
   if (jobs.length === 0) return;
 
+  // Compare against the league on screen, not the tracked one, unless it is a system league.
+  const leagueId = await resolveRivalLeagueId(parseLeagueIdFromPath(window.location.pathname || "/"));
+
   // Load ownership data once for all rivals
-  const ownershipData = await loadMiniLeagueOwnership(currentEventId);
+  const ownershipData = await loadMiniLeagueOwnership(currentEventId, leagueId);
   const myTeam = await loadMyCurrentTeam(currentEventId);
+  const liveProjection = await loadLiveLeagueProjection(leagueId, currentEventId);
 
   await mapWithConcurrency(jobs, CAPTAIN_FETCH_CONCURRENCY, async (job) => {
     const leagueData = await loadEntryLeagueData(job.entryId, currentEventId);
     const rivalTeam = ownershipData?.rivalTeams?.get(job.entryId);
-    const diffData = calculateRivalDiffData(rivalTeam, myTeam, ownershipData);
-    injectLeagueMetaIntoTeamCell(job.row, leagueData, currentEventId, diffData);
+    const outsideCap = !rivalTeam && isLeagueCapped(leagueId) && Number(job.entryId) !== Number(myTeam?.entryId);
+    const diffData = outsideCap
+      ? { outsideCap: true }
+      : calculateRivalDiffData(rivalTeam, myTeam, ownershipData, leagueId);
+    injectLeagueMetaIntoTeamCell(job.row, leagueData, currentEventId, diffData, liveProjection.get(job.entryId));
   });
 
-  debugLog(`[${viewId}] captain cells updated:`, jobs.length);
+  debugLog(`[${viewId}] captain cells updated:`, jobs.length, "league", leagueId);
 }
 
 function getRecommendations(insights) {
@@ -1885,10 +3093,32 @@ function createInsightsPanel(insights) {
     color: #e2e8f0;
   `;
 
+  const trackedLeagues = getTrackedLeagues();
+  const leagueSwitcher = trackedLeagues.length > 1
+    ? `
+      <select class="fpl-league-switch" style="
+        background: #0f172a;
+        color: #e2e8f0;
+        border: 1px solid #334155;
+        border-radius: 4px;
+        font-size: 12px;
+        padding: 2px 4px;
+      ">
+        ${trackedLeagues.map((l) => `
+          <option value="${l.id}" ${l.id === Number(insights.leagueId) ? "selected" : ""}>${escapeHtml(getLeagueName(l.id))}</option>
+        `).join('')}
+      </select>
+    `
+    : '';
+  const fixtureWarnings = insights.myTeam ? calculateFixtureWarnings(insights.myTeam) : [];
+
   panel.innerHTML = `
-    <h3 style="margin: 0 0 12px 0; font-size: 16px; color: #fff;">
-      Differential Analysis (League ${LEAGUE_EO_ID})
-    </h3>
+    <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 0 0 12px 0;">
+      <h3 style="margin: 0; font-size: 16px; color: #fff;">
+        Differential Analysis (${insights.leagueId != null && Number(insights.leagueId) > 0 ? `${escapeHtml(getLeagueName(insights.leagueId))}${isLeagueCapped(insights.leagueId) ? `, top ${LEAGUE_EO_RIVALS_LIMIT} only` : ""}` : "no league tracked"})
+      </h3>
+      ${leagueSwitcher}
+    </div>
 
     <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px;">
       <!-- Summary Stats -->
@@ -1962,13 +3192,54 @@ function createInsightsPanel(insights) {
       </div>
     ` : ''}
 
-    ${insights.myTeam && insights.myTeam.size > 0 ? `
+    ${insights.finances ? `
+      <div style="margin-top: 16px;">
+        <h4 style="font-size: 13px; color: #94a3b8; margin: 0 0 8px 0;">
+          💰 Team Value
+        </h4>
+        <div style="display: flex; flex-wrap: wrap; gap: 12px; font-size: 12px;">
+          <span>Market <strong style="color: #fff;">${formatCost(insights.finances.marketValue)}</strong></span>
+          <span>Selling <strong style="color: #fff;">${formatCost(insights.finances.sellingValue)}</strong></span>
+          <span>Bank <strong style="color: #fff;">${formatCost(insights.finances.bank)}</strong></span>
+          <span>Budget <strong style="color: #22c55e;">${formatCost(insights.finances.sellingValue + Number(insights.finances.bank || 0))}</strong></span>
+        </div>
+        ${insights.finances.players.some((p) => p.nowCost !== p.sellingPrice) ? `
+          <div style="display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px;">
+            ${insights.finances.players
+              .filter((p) => p.nowCost !== p.sellingPrice)
+              .sort((a, b) => (b.nowCost - b.sellingPrice) - (a.nowCost - a.sellingPrice))
+              .map((p) => `
+                <span style="font-size: 10px; color: #94a3b8; border: 1px solid #334155; border-radius: 4px; padding: 2px 6px;" title="Selling price ${formatCost(p.sellingPrice)}, current price ${formatCost(p.nowCost)}">
+                  ${playerById[p.element]?.web_name || `#${p.element}`} sells ${formatCost(p.sellingPrice)} (−${((p.nowCost - p.sellingPrice) / 10).toFixed(1)})
+                </span>
+              `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    ` : ''}
+
+    ${fixtureWarnings.length > 0 ? `
+      <div style="margin-top: 16px;">
+        <h4 style="font-size: 13px; color: #94a3b8; margin: 0 0 8px 0;">
+          📅 Blanks &amp; Doubles (next ${FIXTURE_WARNING_LOOKAHEAD} GWs, your starters)
+        </h4>
+        ${fixtureWarnings.map((w) => `
+          <div style="font-size: 11px; margin-bottom: 4px;">
+            <strong style="color: #fff;">GW${w.event}</strong>
+            ${w.blanks.length > 0 ? `<span style="color: #ef4444;"> · ${w.blanks.length} blank${w.blanks.length === 1 ? "" : "s"}: ${w.blanks.join(", ")}</span>` : ""}
+            ${w.doubles.length > 0 ? `<span style="color: #22c55e;"> · ${w.doubles.length} double${w.doubles.length === 1 ? "" : "s"}: ${w.doubles.join(", ")}</span>` : ""}
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+
+    ${insights.myTeam && insights.myTeam.ids.size > 0 ? `
       <div style="margin-top: 16px;">
         <h4 style="font-size: 13px; color: #94a3b8; margin: 0 0 8px 0;">
           🎯 Top Expected Points Next GW
         </h4>
         <div style="display: flex; flex-wrap: wrap; gap: 6px;">
-          ${Array.from(insights.myTeam)
+          ${Array.from(insights.myTeam.ids)
             .map(pid => ({
               playerId: pid,
               name: playerById[pid]?.web_name || `#${pid}`,
@@ -2005,94 +3276,1867 @@ function createInsightsPanel(insights) {
   return panel;
 }
 
+function findPitchContainer() {
+  return document.querySelector('[data-testid="pitch"]') ||
+         document.querySelector('.Pitch') ||
+         document.querySelector('[class*="Pitch"]') ||
+         document.querySelector('[class*="pitch"]');
+}
+
 async function scanMyTeamInsights(viewId) {
   if (!currentEventId) return;
 
   // Find insertion point (before pitch)
-  const pitchContainer = document.querySelector('[data-testid="pitch"]') ||
-                         document.querySelector('.Pitch') ||
-                         document.querySelector('[class*="Pitch"]') ||
-                         document.querySelector('[class*="pitch"]');
+  const pitchContainer = findPitchContainer();
 
   if (!pitchContainer) {
     debugLog(`[${viewId}] pitch container not found`);
     return;
   }
 
-  // Remove old insights panel if exists
+  // Rebuilding the panel is itself a DOM mutation that schedules another scan, so keep it
+  // while league, GW and live data are unchanged.
+  const key = `${getActiveLeagueId()}:${currentEventId}:${liveState?.signature ?? ""}`;
   const existing = document.querySelector('.fpl-diff-insights-panel');
-  if (existing) existing.remove();
+  if (existing && existing.dataset.key === key && existing.isConnected) return;
 
   // Calculate insights
   const insights = await calculateDifferentialInsights(currentEventId);
+  insights.finances = await loadMyFinances(currentEventId);
+  document.querySelector('.fpl-diff-insights-panel')?.remove();
 
   // Create insights panel
   const panel = createInsightsPanel(insights);
+  panel.dataset.key = key;
+  panel.querySelector(".fpl-league-switch")?.addEventListener("change", (e) => {
+    activeLeagueId = Number(e.target.value);
+    resetInjectedUi();
+    scheduleScan();
+  });
 
   // Insert before pitch
   pitchContainer.parentElement.insertBefore(panel, pitchContainer);
   debugLog(`[${viewId}] insights panel injected`);
 }
 
-async function scan() {
-  if (!shouldAttemptScan()) return;
-  if (scanInProgress) {
-    scanQueued = true;
-    return;
+// Captaincy in expectation vs the league: my armband adds one xPts of the pick, while the
+// average rival adds sum(captain share * xPts) across their armbands. EO only moves the
+// spread, so risk/upside are shown as haul-vs-blank swings against the favourite.
+// Rival armbands come from the latest locked picks (the target GW is not public yet).
+async function calculateCaptainOptions(ownershipEventId, targetEventId, leagueId = getActiveLeagueId()) {
+  const empty = { leagueId, targetEventId, candidates: [], favourite: null, fieldCaptainXPts: 0, totalRivals: 0, myCaptain: null };
+  try {
+    const [ownershipData, selection] = await Promise.all([
+      loadMiniLeagueOwnership(ownershipEventId, leagueId),
+      loadMyTeamSelection()
+    ]);
+    const myTeam = selection?.squad?.picks.length > 0
+      ? selection.squad
+      : await loadMyCurrentTeam(ownershipEventId);
+    if (!myTeam || myTeam.picks.length === 0) return empty;
+
+    const xPtsOf = (pid) => Number(playerById[pid]?.ep_next || 0);
+    const capShareOf = (pid) => Number(ownershipData.playerOwnership.get(pid)?.captainPct || 0) / 100;
+
+    let favourite = null;
+    let fieldCaptainXPts = 0;
+    for (const [pid, own] of ownershipData.playerOwnership.entries()) {
+      fieldCaptainXPts += (own.captainPct / 100) * xPtsOf(pid);
+      if (own.captainedBy.size > 0 && (!favourite || own.captainedBy.size > favourite.captainedBy)) {
+        favourite = { playerId: pid, captainedBy: own.captainedBy.size, captainPct: own.captainPct };
+      }
+    }
+
+    const candidateIds = getStarters(myTeam)
+      .map((pick) => pick.element)
+      .sort((a, b) => xPtsOf(b) - xPtsOf(a))
+      .slice(0, CAPTAIN_PICKER_CANDIDATES);
+    if (favourite && !candidateIds.includes(favourite.playerId)) candidateIds.push(favourite.playerId);
+
+    const favXPts = favourite ? xPtsOf(favourite.playerId) : 0;
+    const favShare = favourite ? favourite.captainPct / 100 : 0;
+    const swing = CAPTAIN_HAUL_POINTS - CAPTAIN_BLANK_POINTS;
+
+    const candidates = candidateIds.map((pid) => {
+      const fixtures = getPlayerFixturesForEvent(pid, targetEventId);
+      const difficulties = fixtures
+        .map((fx) => getFixtureDifficulty(fx, playerById[pid]?.element_type))
+        .filter((d) => Number.isFinite(d));
+      const isFavourite = favourite?.playerId === pid;
+      const capShare = capShareOf(pid);
+      return {
+        playerId: pid,
+        name: playerById[pid]?.web_name || `#${pid}`,
+        owned: myTeam.ids.has(pid),
+        isFavourite,
+        xPts: xPtsOf(pid),
+        fixtures,
+        avgDifficulty: difficulties.length > 0 ? difficulties.reduce((a, b) => a + b, 0) / difficulties.length : null,
+        captainPct: capShare * 100,
+        eoPct: Number(ownershipData.playerOwnership.get(pid)?.eoPct || 0),
+        gainVsField: xPtsOf(pid) - fieldCaptainXPts,
+        gainVsFavourite: xPtsOf(pid) - favXPts,
+        // favourite hauls, this pick blanks: lost against every rival on the favourite
+        riskPts: isFavourite ? 0 : swing * favShare,
+        // this pick hauls, favourite blanks: gained against every rival not on this pick
+        upsidePts: swing * (1 - capShare)
+      };
+    }).sort((a, b) => b.xPts - a.xPts);
+
+    return {
+      leagueId,
+      targetEventId,
+      candidates,
+      favourite,
+      fieldCaptainXPts,
+      totalRivals: ownershipData.totalRivals,
+      myCaptain: myTeam.captain
+    };
+  } catch (e) {
+    debugLog("calculateCaptainOptions failed", e);
+    return empty;
   }
+}
 
-  scanInProgress = true;
+function captainRiskLabel(riskPts) {
+  if (riskPts <= 0) return { text: "Shield", color: "#22c55e" };
+  if (riskPts < 3) return { text: "Low", color: "#84cc16" };
+  if (riskPts < 6) return { text: "Medium", color: "#f97316" };
+  return { text: "High", color: "#ef4444" };
+}
 
-  try {
-    const path = window.location.pathname || "/";
-    const activeViews = getActiveViews(path);
-    if (activeViews.length === 0) return;
+function formatSignedPoints(value) {
+  const v = Number(value) || 0;
+  return `${v >= 0 ? "+" : ""}${v.toFixed(1)}`;
+}
 
-    for (const view of activeViews) {
-      await view.scan(view.id);
-    }
-  } finally {
-    scanInProgress = false;
-    if (scanQueued) {
-      scanQueued = false;
-      scheduleScan();
-    }
-  }
+function createCaptainPickerPanel(options) {
+  const panel = document.createElement("div");
+  panel.className = "fpl-captain-picker-panel";
+  panel.style.cssText = `
+    background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    margin-bottom: 16px;
+    color: #e2e8f0;
+  `;
+
+  const fav = options.favourite;
+  const favName = fav ? (playerById[fav.playerId]?.web_name || `#${fav.playerId}`) : null;
+  const rows = options.candidates.map((c) => {
+    const risk = captainRiskLabel(c.riskPts);
+    const fixtureText = c.fixtures.length > 0
+      ? c.fixtures.map((fx) => `${fx.oppShort} (${fx.isHome ? "H" : "A"})`).join(", ")
+      : "Blank";
+    const fixtureBg = c.fixtures.length > 0 ? fixtureBgByDifficulty(Math.round(c.avgDifficulty)) : "#64748b";
+    const tags = [
+      c.playerId === options.myCaptain ? "C" : "",
+      c.isFavourite ? "★ fav" : "",
+      c.owned ? "" : "not owned"
+    ].filter(Boolean).join(" · ");
+    return `
+      <tr style="border-top: 1px solid #334155;">
+        <td style="padding: 6px 4px; font-weight: 600;">
+          ${c.name}
+          ${tags ? `<span style="font-size: 10px; color: #94a3b8; font-weight: 400;"> ${tags}</span>` : ""}
+        </td>
+        <td style="padding: 6px 4px;">
+          <span style="background: ${fixtureBg}; color: #0b1020; padding: 2px 6px; border-radius: 4px; font-size: 10px; font-weight: 600;">${fixtureText}</span>
+        </td>
+        <td style="padding: 6px 4px; color: ${colorForXPts(c.xPts)};">${c.xPts > 0 ? c.xPts.toFixed(1) : "n/a"}</td>
+        <td style="padding: 6px 4px;">${formatPercent(c.captainPct)} <span style="color: #64748b;">/ EO ${formatPercent(c.eoPct)}</span></td>
+        <td style="padding: 6px 4px; color: ${c.gainVsFavourite >= 0 ? "#22c55e" : "#ef4444"};">${fav ? formatSignedPoints(c.gainVsFavourite) : "n/a"}</td>
+        <td style="padding: 6px 4px;">${formatSignedPoints(c.gainVsField)}</td>
+        <td style="padding: 6px 4px; color: ${risk.color};" title="Lost if ${favName || "the favourite"} hauls (${CAPTAIN_HAUL_POINTS}) and ${c.name} blanks (${CAPTAIN_BLANK_POINTS}), averaged over rivals">
+          ${risk.text} (−${c.riskPts.toFixed(1)})
+        </td>
+        <td style="padding: 6px 4px; color: #60a5fa;" title="Gained if ${c.name} hauls and ${favName || "the favourite"} blanks, averaged over rivals">
+          +${c.upsidePts.toFixed(1)}
+        </td>
+      </tr>
+    `;
+  }).join("");
+
+  panel.innerHTML = `
+    <h3 style="margin: 0 0 4px 0; font-size: 16px; color: #fff;">
+      🎖 Captain Picker – GW${options.targetEventId} (${escapeHtml(getLeagueName(options.leagueId))})
+    </h3>
+    <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">
+      ${fav
+        ? `League favourite: <strong style="color: #fbbf24;">${favName}</strong> (${formatPercent(fav.captainPct)} of ${options.totalRivals} rivals) · average rival captain xPts ${options.fieldCaptainXPts.toFixed(1)}`
+        : "No rival captaincy data yet."}
+    </div>
+    <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+      <thead>
+        <tr style="color: #94a3b8; text-align: left;">
+          <th style="padding: 4px; font-weight: 600;">Player</th>
+          <th style="padding: 4px; font-weight: 600;">Fixture</th>
+          <th style="padding: 4px; font-weight: 600;">xPts</th>
+          <th style="padding: 4px; font-weight: 600;">Rival C</th>
+          <th style="padding: 4px; font-weight: 600;" title="Expected captain points vs captaining the league favourite">vs fav</th>
+          <th style="padding: 4px; font-weight: 600;" title="Expected captaincy gain vs the average rival">vs league</th>
+          <th style="padding: 4px; font-weight: 600;">Risk</th>
+          <th style="padding: 4px; font-weight: 600;">Upside</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  return panel;
 }
 
-function invalidateOwnershipCaches() {
-  miniLeagueOwnershipCache.clear();
-  myCurrentTeamCache.clear();
-  debugLog("Ownership caches invalidated");
+async function scanCaptainPicker(viewId) {
+  if (!currentEventId) return;
+  const leagueId = getActiveLeagueId();
+  if (!Number.isFinite(Number(leagueId))) return;
+
+  const pitchContainer = findPitchContainer();
+  if (!pitchContainer) return;
+
+  const targetEventId = nextEventId ?? currentEventId;
+  const key = `${leagueId}:${currentEventId}:${targetEventId}`;
+  const existing = document.querySelector(".fpl-captain-picker-panel");
+  if (existing && existing.dataset.key === key && existing.isConnected) return;
+
+  const options = await calculateCaptainOptions(currentEventId, targetEventId, leagueId);
+  document.querySelector(".fpl-captain-picker-panel")?.remove();
+  if (options.candidates.length === 0) return;
+
+  const panel = createCaptainPickerPanel(options);
+  panel.dataset.key = key;
+  pitchContainer.parentElement.insertBefore(panel, pitchContainer);
+  debugLog(`[${viewId}] captain picker injected`, key);
 }
 
-async function init() {
-  debugLog("FPL XG running", new Date().toISOString());
-  await loadBootstrap();
+// Per-match points estimate before fixture difficulty: the mean of FPL's ep_next, current
+// form and a stat model (appearance + xGI/90 at the position's goal/assist value + CS rate).
+// Flagged players are scaled by their chance of playing.
+function estimatePlayerBasePoints(playerId, stats) {
+  const p = playerById[playerId];
+  if (!p) return 0;
+  const pos = Number(p.element_type);
+  const estimates = [];
+  if (p.ep_next > 0) estimates.push(p.ep_next);
+  if (p.form > 0) estimates.push(p.form);
+  if (stats && stats.formGames > 0) {
+    const attack = Number(stats.xgi90 || 0) * ((PROJECTION_POINTS.goal[pos] || 4) + PROJECTION_POINTS.assist) / 2;
+    const csRate = Number(stats.csForm || 0) / stats.formGames;
+    estimates.push(PROJECTION_POINTS.appearance + attack + csRate * (PROJECTION_POINTS.cleanSheet[pos] || 0));
+  }
+  if (estimates.length === 0) return 0;
+  const base = estimates.reduce((a, b) => a + b, 0) / estimates.length;
+  if (p.status !== "a") {
+    const chance = Number.isFinite(p.chance_next) ? p.chance_next / 100 : 0;
+    return base * chance;
+  }
+  return base;
+}
 
-  // Preload ownership data for current event in background
-  if (Number.isFinite(Number(currentEventId))) {
-    debugLog("Preloading ownership data for event", currentEventId);
-    loadMiniLeagueOwnership(currentEventId).catch(e =>
-      debugLog("Preload ownership failed", e)
-    );
-    loadMyCurrentTeam(currentEventId).catch(e =>
-      debugLog("Preload my team failed", e)
-    );
+// Points over `horizon` GWs from `fromEventId`: blanks score 0, doubles score both fixtures.
+function projectPlayerPoints(playerId, stats, fromEventId, horizon) {
+  const base = estimatePlayerBasePoints(playerId, stats);
+  const elementType = playerById[playerId]?.element_type;
+  const perGw = [];
+  let total = 0;
+  for (let ev = Number(fromEventId); ev < Number(fromEventId) + horizon; ev += 1) {
+    const fixtures = getPlayerFixturesForEvent(playerId, ev);
+    const points = fixtures.reduce((sum, fx) => sum + base * (PROJECTION_FDR_FACTOR[getFixtureDifficulty(fx, elementType)] || 1), 0);
+    perGw.push({ event: ev, points, fixtures });
+    total += points;
   }
+  return { base, total, perGw };
+}
 
-  await scan();
+function formatCost(tenths) {
+  const n = Number(tenths);
+  return Number.isFinite(n) ? `£${(n / 10).toFixed(1)}m` : "n/a";
 }
 
-init();
+async function loadTransferPlannerContext() {
+  const selection = await loadMyTeamSelection();
+  if (!selection || selection.squad.picks.length === 0) return null;
+  const ftData = Number.isFinite(Number(currentEventId))
+    ? await loadEntryLeagueData(selection.squad.entryId, currentEventId)
+    : null;
+  const ft = Number(ftData?.remainingTransfers);
+  const chip = selection.activeChip;
+  return {
+    selection,
+    // A Wildcard or Free Hit week (or FPL reporting unlimited transfers) costs no hits.
+    unlimitedChip: isWildcardChip(chip) || isFreeHitChip(chip)
+      ? formatChip(chip)
+      : (selection.transfers?.status === "unlimited" ? "API" : null),
+    freeTransfers: Number.isFinite(ft) ? ft : null,
+    freeTransfersSource: ftData?.remainingTransfersSource || null,
+    startEventId: nextEventId ?? currentEventId
+  };
+}
 
-// re-run on DOM updates (SPA)
-const observer = new MutationObserver((mutations) => {
-  if (!shouldScheduleFromMutations(mutations)) return;
-  scheduleScan();
-});
+function getSellingPrice(selection, playerId) {
+  const sp = selection.sellingPriceById.get(Number(playerId));
+  return Number.isFinite(sp) ? sp : Number(playerById[playerId]?.now_cost || 0);
+}
+
+// Squad ids and bank after applying the queued transfers in order.
+function applyTransferQueue(ctx, queue) {
+  const ids = new Set(ctx.selection.squad.ids);
+  let bank = Number(ctx.selection.bank || 0);
+  for (const t of queue) {
+    ids.delete(t.outId);
+    ids.add(t.inId);
+    bank += getSellingPrice(ctx.selection, t.outId) - Number(playerById[t.inId]?.now_cost || 0);
+  }
+  return { ids, bank };
+}
 
-observer.observe(document.body, { childList: true, subtree: true });
+function countPlayersByTeam(ids) {
+  const counts = new Map();
+  for (const id of ids) {
+    const team = Number(playerById[id]?.team);
+    counts.set(team, (counts.get(team) || 0) + 1);
+  }
+  return counts;
+}
+
+async function evaluateTransferPlan(ctx, plan) {
+  const horizon = plan.horizon;
+  const rows = await Promise.all(plan.queue.map(async (t) => {
+    const [outStats, inStats] = await Promise.all([loadPlayerData(t.outId), loadPlayerData(t.inId)]);
+    const out = projectPlayerPoints(t.outId, outStats, ctx.startEventId, horizon);
+    const inn = projectPlayerPoints(t.inId, inStats, ctx.startEventId, horizon);
+    return { ...t, outProjection: out, inProjection: inn, gain: inn.total - out.total };
+  }));
+
+  const { ids, bank } = applyTransferQueue(ctx, plan.queue);
+  const errors = [];
+  if (bank < 0) errors.push(`Over budget by ${formatCost(-bank)}.`);
+  for (const [team, count] of countPlayersByTeam(ids).entries()) {
+    if (count > MAX_PLAYERS_PER_TEAM) errors.push(`${count} players from ${teamById[team]?.short_name || `T${team}`} (max ${MAX_PLAYERS_PER_TEAM}).`);
+  }
+
+  const transfers = plan.queue.length;
+  const freeTransfers = Number.isFinite(ctx.freeTransfers) ? ctx.freeTransfers : 1;
+  const hits = ctx.unlimitedChip ? 0 : Math.max(0, transfers - freeTransfers) * getSeasonRules().hitCost;
+  const gain = rows.reduce((sum, r) => sum + r.gain, 0);
+  return { rows, bank, errors, transfers, freeTransfers, hits, gain, net: gain - hits };
+}
+
+function renderTransferPlannerHtml(ctx, plan, result) {
+  const squadIds = applyTransferQueue(ctx, plan.queue).ids;
+  const queuedOut = new Set(plan.queue.map((t) => t.outId));
+  const outOptions = ctx.selection.squad.picks
+    .filter((pick) => !queuedOut.has(pick.element))
+    .map((pick) => {
+      const p = playerById[pick.element];
+      return `<option value="${pick.element}" ${Number(plan.draftOutId) === pick.element ? "selected" : ""}>${p?.web_name || `#${pick.element}`} (${POSITION_SHORT[p?.element_type] || "?"} ${formatCost(getSellingPrice(ctx.selection, pick.element))})</option>`;
+    }).join("");
+
+  const draftOut = plan.draftOutId == null ? NaN : Number(plan.draftOutId);
+  const budget = result.bank + (Number.isFinite(draftOut) ? getSellingPrice(ctx.selection, draftOut) : 0);
+  const inOptions = Number.isFinite(draftOut)
+    ? Object.entries(playerById)
+      .map(([id, p]) => ({ id: Number(id), p }))
+      .filter(({ id, p }) => p.element_type === playerById[draftOut]?.element_type && !squadIds.has(id) && p.now_cost <= budget)
+      .sort((a, b) => b.p.ep_next - a.p.ep_next)
+      .slice(0, 60)
+      .map(({ id, p }) => `<option value="${id}">${p.web_name} (${teamById[p.team]?.short_name || "?"} ${formatCost(p.now_cost)} · xPts ${p.ep_next.toFixed(1)})</option>`)
+      .join("")
+    : "";
+
+  const selectStyle = "background: #0f172a; color: #e2e8f0; border: 1px solid #334155; border-radius: 4px; font-size: 11px; padding: 3px 4px; max-width: 220px;";
+  const buttonStyle = "background: #3b82f6; color: #fff; border: none; border-radius: 4px; font-size: 11px; font-weight: 600; padding: 4px 8px; cursor: pointer;";
+
+  const queueRows = result.rows.map((r, index) => `
+    <tr style="border-top: 1px solid #334155;">
+      <td style="padding: 5px 4px; color: #ef4444;">${playerById[r.outId]?.web_name || `#${r.outId}`} <span style="color: #64748b;">${r.outProjection.total.toFixed(1)}</span></td>
+      <td style="padding: 5px 4px;">→</td>
+      <td style="padding: 5px 4px; color: #22c55e;">${playerById[r.inId]?.web_name || `#${r.inId}`} <span style="color: #64748b;">${r.inProjection.total.toFixed(1)}</span></td>
+      <td style="padding: 5px 4px; color: ${r.gain >= 0 ? "#22c55e" : "#ef4444"};">${formatSignedPoints(r.gain)}</td>
+      <td style="padding: 5px 4px; color: #64748b;">${r.inProjection.perGw.map((g) => (g.fixtures.length === 0 ? "–" : g.points.toFixed(1))).join(" / ")}</td>
+      <td style="padding: 5px 4px;"><button class="fpl-plan-remove" data-index="${index}" style="${buttonStyle} background: #334155;">✕</button></td>
+    </tr>
+  `).join("");
+
+  const lastEvent = Number(ctx.startEventId) + plan.horizon - 1;
+  return `
+    <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin: 0 0 8px 0;">
+      <h3 style="margin: 0; font-size: 16px; color: #fff;">🔁 Transfer Planner</h3>
+      <label style="font-size: 11px; color: #94a3b8;">
+        Horizon
+        <select class="fpl-plan-horizon" style="${selectStyle}">
+          ${Array.from({ length: PLANNER_MAX_HORIZON }, (_, i) => i + 1)
+            .map((n) => `<option value="${n}" ${n === plan.horizon ? "selected" : ""}>${n} GW</option>`).join("")}
+        </select>
+      </label>
+    </div>
+    <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">
+      Bank ${formatCost(ctx.selection.bank)} → <strong style="color: ${result.bank < 0 ? "#ef4444" : "#e2e8f0"};">${formatCost(result.bank)}</strong>
+      · FT ${ctx.unlimitedChip ? `unlimited (${ctx.unlimitedChip})` : Number.isFinite(ctx.freeTransfers) ? `${ctx.freeTransfers}${ctx.freeTransfersSource ? ` (${ctx.freeTransfersSource})` : ""}` : "n/a (assuming 1)"}
+      · GW${ctx.startEventId}${plan.horizon > 1 ? `–${lastEvent}` : ""}
+    </div>
+    <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 8px;">
+      <select class="fpl-plan-out" style="${selectStyle}">
+        <option value="">Transfer out…</option>
+        ${outOptions}
+      </select>
+      <select class="fpl-plan-in" style="${selectStyle}" ${Number.isFinite(draftOut) ? "" : "disabled"}>
+        <option value="">Transfer in…</option>
+        ${inOptions}
+      </select>
+      <button class="fpl-plan-add" style="${buttonStyle}">Queue</button>
+      ${plan.queue.length > 0 ? `<button class="fpl-plan-clear" style="${buttonStyle} background: #334155;">Clear</button>` : ""}
+    </div>
+    ${plan.queue.length > 0 ? `
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <thead>
+          <tr style="color: #94a3b8; text-align: left;">
+            <th style="padding: 4px; font-weight: 600;">Out</th>
+            <th></th>
+            <th style="padding: 4px; font-weight: 600;">In</th>
+            <th style="padding: 4px; font-weight: 600;">Δ pts</th>
+            <th style="padding: 4px; font-weight: 600;">In per GW</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${queueRows}</tbody>
+      </table>
+      <div style="margin-top: 10px; padding: 10px; background: #0f172a; border-radius: 6px; border-left: 3px solid ${result.net >= 0 ? "#22c55e" : "#ef4444"}; font-size: 12px;">
+        ${result.transfers} transfer${result.transfers === 1 ? "" : "s"} · hits −${result.hits}
+        · projected ${formatSignedPoints(result.gain)}
+        · <strong style="color: ${result.net >= 0 ? "#22c55e" : "#ef4444"};">net ${formatSignedPoints(result.net)}</strong>
+        ${result.errors.length > 0 ? `<div style="color: #ef4444; margin-top: 4px;">⚠ ${result.errors.join(" ")}</div>` : ""}
+      </div>
+    ` : `<div style="font-size: 11px; color: #64748b;">Queue hypothetical transfers to compare projected points over the horizon.</div>`}
+  `;
+}
+
+async function renderTransferPlanner(panel, ctx) {
+  const result = await evaluateTransferPlan(ctx, transferPlan);
+  panel.innerHTML = renderTransferPlannerHtml(ctx, transferPlan, result);
+  const rerender = () => renderTransferPlanner(panel, ctx);
+
+  panel.querySelector(".fpl-plan-horizon")?.addEventListener("change", (e) => {
+    transferPlan.horizon = Number(e.target.value) || PLANNER_DEFAULT_HORIZON;
+    rerender();
+  });
+  panel.querySelector(".fpl-plan-out")?.addEventListener("change", (e) => {
+    transferPlan.draftOutId = e.target.value ? Number(e.target.value) : null;
+    rerender();
+  });
+  panel.querySelector(".fpl-plan-add")?.addEventListener("click", () => {
+    const inId = Number(panel.querySelector(".fpl-plan-in")?.value);
+    const outId = Number(transferPlan.draftOutId);
+    if (!(outId > 0) || !(inId > 0)) return;
+    transferPlan.queue.push({ outId, inId });
+    transferPlan.draftOutId = null;
+    rerender();
+  });
+  panel.querySelector(".fpl-plan-clear")?.addEventListener("click", () => {
+    transferPlan.queue = [];
+    transferPlan.draftOutId = null;
+    rerender();
+  });
+  panel.querySelectorAll(".fpl-plan-remove").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      transferPlan.queue.splice(Number(btn.dataset.index), 1);
+      rerender();
+    });
+  });
+}
+
+async function scanTransferPlanner(viewId) {
+  if (!currentEventId) return;
+  const existing = document.querySelector(".fpl-transfer-planner-panel");
+  if (existing && existing.isConnected) return;
+
+  const pitchContainer = findPitchContainer();
+  if (!pitchContainer) return;
+
+  const ctx = await loadTransferPlannerContext();
+  if (!ctx || document.querySelector(".fpl-transfer-planner-panel")) return;
+
+  // Queued transfers only make sense against the squad they were planned on.
+  const squadKey = Array.from(ctx.selection.squad.ids).sort((a, b) => a - b).join(",");
+  if (transferPlan.squadKey !== squadKey) {
+    transferPlan = { queue: [], horizon: transferPlan.horizon, draftOutId: null, squadKey };
+  }
+
+  const panel = document.createElement("div");
+  panel.className = "fpl-transfer-planner-panel";
+  panel.style.cssText = `
+    background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    margin-bottom: 16px;
+    color: #e2e8f0;
+  `;
+  pitchContainer.parentElement.insertBefore(panel, pitchContainer);
+  await renderTransferPlanner(panel, ctx);
+  debugLog(`[${viewId}] transfer planner injected`);
+}
+
+function getChipWindows() {
+  const windows = chipWindows.length > 0
+    ? chipWindows
+    : (CHIP_SEASON_WINDOWS[Number(seasonStartYear)] || CHIP_DEFAULT_WINDOWS)
+      .map(([name, start, stop]) => ({ name, start, stop }));
+  return [...windows].sort((a, b) => a.start - b.start);
+}
+
+// One row per chip window: { name, label, half, start, stop, playedEvent, available }.
+// half is "H1"/"H2" when the season splits that chip, "" otherwise.
+function getChipStatus(historyData, fromEventId) {
+  const played = (Array.isArray(historyData?.chips) ? historyData.chips : [])
+    .map((c) => ({ name: String(c?.name || ""), event: Number(c?.event) }));
+  const windows = getChipWindows();
+  return windows.map((w) => {
+    const sameName = windows.filter((x) => x.name === w.name);
+    const play = played.find((c) => c.name === w.name && c.event >= w.start && c.event <= w.stop);
+    return {
+      name: w.name,
+      label: formatChip(w.name),
+      half: sameName.length > 1 ? `H${sameName.indexOf(w) + 1}` : "",
+      start: w.start,
+      stop: w.stop,
+      playedEvent: play ? play.event : null,
+      available: !play && w.stop >= Number(fromEventId)
+    };
+  });
+}
+
+function isChipAvailableInEvent(status, name, eventId) {
+  return status.some((c) => c.name === name && c.available && c.start <= eventId && c.stop >= eventId);
+}
+
+// Teams with two or more fixtures / none in a GW.
+function getGameweekShape(eventId) {
+  let doubles = 0;
+  let blanks = 0;
+  for (const teamId of Object.keys(teamById)) {
+    const count = (fixturesByTeam.get(Number(teamId)) || []).filter((fx) => Number(fx.event) === Number(eventId)).length;
+    if (count > 1) doubles += 1;
+    if (count === 0) blanks += 1;
+  }
+  return { doubles, blanks };
+}
+
+// Per GW from `fromEventId`: bench points (BB), the best starter's points (TC) and the
+// points my XI loses to blanks (what a Free Hit would recover), from projectPlayerPoints.
+async function calculateChipPlan(squad, fromEventId) {
+  const from = Number(fromEventId);
+  const lastEvent = Math.max(...eventDeadlineById.keys(), from);
+  const horizon = Math.max(0, Math.min(CHIP_PLANNER_HORIZON, lastEvent - from + 1));
+
+  const projections = new Map();
+  await mapWithConcurrency(squad.picks, CAPTAIN_FETCH_CONCURRENCY, async (pick) => {
+    const stats = await loadPlayerData(pick.element);
+    projections.set(pick.element, projectPlayerPoints(pick.element, stats, from, horizon));
+  });
+
+  const starters = getStarters(squad);
+  const bench = getBench(squad);
+  const rows = [];
+  for (let i = 0; i < horizon; i += 1) {
+    const ev = from + i;
+    const pointsOf = (pick) => projections.get(pick.element)?.perGw[i]?.points || 0;
+    const tcPick = starters.reduce((best, pick) => (!best || pointsOf(pick) > pointsOf(best) ? pick : best), null);
+    const blankStarters = starters.filter((pick) => projections.get(pick.element)?.perGw[i]?.fixtures.length === 0);
+    rows.push({
+      event: ev,
+      ...getGameweekShape(ev),
+      bb: bench.reduce((sum, pick) => sum + pointsOf(pick), 0),
+      tc: tcPick ? { playerId: tcPick.element, points: pointsOf(tcPick) } : null,
+      fh: blankStarters.reduce((sum, pick) => sum + (projections.get(pick.element)?.base || 0), 0),
+      blankStarters: blankStarters.map((pick) => playerById[pick.element]?.web_name || `#${pick.element}`)
+    });
+  }
+  return rows;
+}
+
+// Best GW per chip among the GWs where I still hold it: { bboost: eventId, 3xc: eventId, freehit: eventId }.
+function pickBestChipEvents(plan, status) {
+  const scoreOf = { bboost: (row) => row.bb, "3xc": (row) => row.tc?.points || 0, freehit: (row) => row.fh };
+  const out = {};
+  for (const [name, score] of Object.entries(scoreOf)) {
+    const best = plan
+      .filter((row) => isChipAvailableInEvent(status, name, row.event) && score(row) > 0)
+      .sort((a, b) => score(b) - score(a))[0];
+    if (best) out[name] = best.event;
+  }
+  return out;
+}
+
+// Chips a rival is likely to play soon: [{ name, label, event, reason, window }]. Doubles pull BB/TC,
+// blanks pull FH, a wildcard last GW usually sets up a Bench Boost, and a chip about to
+// expire gets used.
+function predictRivalChips(status, historyData, plan, fromEventId) {
+  const from = Number(fromEventId);
+  const out = [];
+  // At most one prediction per chip window, so an H1 chip about to expire and the H2 copy can both show.
+  const add = (name, event, reason) => {
+    const window = status.find((c) => c.name === name && c.available && c.start <= event && c.stop >= event);
+    if (!window || out.some((x) => x.window === window)) return;
+    out.push({ name, label: formatChip(name), event, reason, window });
+  };
+
+  const chips = Array.isArray(historyData?.chips) ? historyData.chips : [];
+  if (chips.some((c) => isWildcardChip(c?.name) && Number(c?.event) === from - 1) && isChipAvailableInEvent(status, "bboost", from)) {
+    add("bboost", from, "after WC");
+  }
+  for (const row of plan) {
+    if (row.doubles >= CHIP_NOTABLE_TEAMS) {
+      if (isChipAvailableInEvent(status, "bboost", row.event)) add("bboost", row.event, `DGW (${row.doubles} teams)`);
+      if (isChipAvailableInEvent(status, "3xc", row.event)) add("3xc", row.event, `DGW (${row.doubles} teams)`);
+    }
+    if (row.blanks >= CHIP_NOTABLE_TEAMS && isChipAvailableInEvent(status, "freehit", row.event)) {
+      add("freehit", row.event, `BGW (${row.blanks} teams)`);
+    }
+  }
+  for (const c of status) {
+    if (c.available && c.start <= from && c.stop - from < CHIP_EXPIRY_WARNING_GWS) add(c.name, c.stop, `expires GW${c.stop}`);
+  }
+  return out.sort((a, b) => a.event - b.event);
+}
+
+function renderChipPillsHtml(status) {
+  return status.map((c) => {
+    const text = `${c.label}${c.half ? ` ${c.half}` : ""}`;
+    if (c.playedEvent) {
+      return `<span style="font-size: 10px; color: #64748b; text-decoration: line-through; border: 1px solid #334155; border-radius: 4px; padding: 1px 5px;" title="Played GW${c.playedEvent}">${text}</span>`;
+    }
+    if (!c.available) {
+      return `<span style="font-size: 10px; color: #475569; border: 1px dashed #334155; border-radius: 4px; padding: 1px 5px;" title="Expired after GW${c.stop}">${text}</span>`;
+    }
+    return `<span style="font-size: 10px; color: #0b1020; background: #22c55e; font-weight: 600; border-radius: 4px; padding: 1px 5px;" title="Available GW${c.start}–${c.stop}">${text}</span>`;
+  }).join(" ");
+}
+
+async function calculateChipPlanner(fromEventId, leagueId) {
+  const myId = await resolveMyEntryIdForRivals();
+  const selection = await loadMyTeamSelection();
+  const squad = selection?.squad?.picks.length > 0 ? selection.squad : await loadMyCurrentTeam(currentEventId);
+  const [myHistory, plan, standings] = await Promise.all([
+    Number.isFinite(myId) ? loadEntryHistory(myId) : Promise.resolve(null),
+    squad && squad.picks.length > 0 ? calculateChipPlan(squad, fromEventId) : Promise.resolve([]),
+    Number.isFinite(Number(leagueId)) ? loadLeagueStandingsEntries(leagueId, CHIP_PLANNER_RIVAL_ROWS + 1) : Promise.resolve([])
+  ]);
+  const myStatus = getChipStatus(myHistory, fromEventId);
+
+  // Only the rivals shown get their history loaded.
+  const rivalRows = standings
+    .filter((row) => Number(row?.entry) > 0 && Number(row.entry) !== Number(myId))
+    .slice(0, CHIP_PLANNER_RIVAL_ROWS);
+  const rivals = [];
+  await mapWithConcurrency(rivalRows, CAPTAIN_FETCH_CONCURRENCY, async (row) => {
+    const historyData = await loadEntryHistory(Number(row.entry));
+    if (!historyData) return;
+    const status = getChipStatus(historyData, fromEventId);
+    rivals.push({
+      entryId: Number(row.entry),
+      rank: Number(row.rank) || 0,
+      name: String(row.entry_name || row.player_name || `Entry ${row.entry}`),
+      status,
+      likely: predictRivalChips(status, historyData, plan, fromEventId)
+    });
+  });
+  rivals.sort((a, b) => a.rank - b.rank);
+
+  return {
+    fromEventId: Number(fromEventId),
+    leagueId,
+    myStatus,
+    plan,
+    best: pickBestChipEvents(plan, myStatus),
+    rivals
+  };
+}
+
+function createChipPlannerPanel(options) {
+  const panel = document.createElement("div");
+  panel.className = "fpl-chip-planner-panel";
+  panel.style.cssText = `
+    background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    margin-bottom: 16px;
+    color: #e2e8f0;
+  `;
+
+  const cell = (name, row, text, title) => {
+    const isBest = options.best[name] === row.event;
+    const held = isChipAvailableInEvent(options.myStatus, name, row.event);
+    return `
+      <td style="padding: 4px; text-align: center; ${isBest ? "background: rgba(34, 197, 94, 0.2); color: #22c55e; font-weight: 700;" : held ? "" : "color: #475569;"}" title="${title}">
+        ${isBest ? "★ " : ""}${text}
+      </td>
+    `;
+  };
+  const planRows = options.plan.map((row) => {
+    const tcName = row.tc ? (playerById[row.tc.playerId]?.web_name || `#${row.tc.playerId}`) : "";
+    const shape = [
+      row.doubles > 0 ? `<span style="color: #22c55e;">${row.doubles}×DGW</span>` : "",
+      row.blanks > 0 ? `<span style="color: #ef4444;">${row.blanks}×BGW</span>` : ""
+    ].filter(Boolean).join(" ");
+    return `
+      <tr style="border-top: 1px solid #334155;">
+        <td style="padding: 4px; font-weight: 600;">GW${row.event}</td>
+        <td style="padding: 4px;">${shape || '<span style="color: #64748b;">normal</span>'}</td>
+        ${cell("bboost", row, row.bb.toFixed(1), "Projected bench points")}
+        ${cell("3xc", row, row.tc ? `${row.tc.points.toFixed(1)} ${tcName}` : "n/a", "Extra points from tripling the best starter")}
+        ${cell("freehit", row, row.fh.toFixed(1), row.blankStarters.length > 0 ? `Blanking starters: ${row.blankStarters.join(", ")}` : "No blanking starters")}
+      </tr>
+    `;
+  }).join("");
+
+  const chipNames = [...new Set(options.myStatus.map((c) => c.name))];
+  // Only windows already open count; an unopened second-half chip isn't held yet.
+  const leftSummary = chipNames.map((name) => {
+    const withChip = options.rivals.filter((r) => r.status.some((c) => c.name === name && c.available && c.start <= options.fromEventId)).length;
+    return `${formatChip(name)} ${withChip}/${options.rivals.length}`;
+  }).join(" · ");
+  const rivalRows = options.rivals.map((r) => `
+    <tr style="border-top: 1px solid #334155;">
+      <td style="padding: 4px; font-weight: 600;">${escapeHtml(r.name)}</td>
+      <td style="padding: 4px;">${renderChipPillsHtml(r.status)}</td>
+      <td style="padding: 4px; color: #fbbf24;">
+        ${r.likely.length > 0 ? r.likely.map((x) => `${x.label} GW${x.event} <span style="color: #64748b;">(${x.reason})</span>`).join("<br>") : '<span style="color: #64748b;">–</span>'}
+      </td>
+    </tr>
+  `).join("");
+
+  panel.innerHTML = `
+    <h3 style="margin: 0 0 4px 0; font-size: 16px; color: #fff;">
+      🃏 Chip Planner – from GW${options.fromEventId}
+    </h3>
+    <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">
+      My chips: ${renderChipPillsHtml(options.myStatus)}
+    </div>
+    ${options.plan.length > 0 ? `
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <thead>
+          <tr style="color: #94a3b8; text-align: left;">
+            <th style="padding: 4px; font-weight: 600;">GW</th>
+            <th style="padding: 4px; font-weight: 600;">Fixtures</th>
+            <th style="padding: 4px; font-weight: 600; text-align: center;">BB</th>
+            <th style="padding: 4px; font-weight: 600; text-align: center;">TC</th>
+            <th style="padding: 4px; font-weight: 600; text-align: center;" title="Projected points my XI loses to blanks">FH</th>
+          </tr>
+        </thead>
+        <tbody>${planRows}</tbody>
+      </table>
+      <div style="font-size: 10px; color: #64748b; margin-top: 4px;">★ best GW for a chip I still hold · greyed cells fall outside my chip windows</div>
+    ` : ""}
+    ${options.rivals.length > 0 ? `
+      <h4 style="font-size: 13px; color: #94a3b8; margin: 16px 0 4px 0;">
+        Rivals – ${escapeHtml(getLeagueName(options.leagueId))}
+      </h4>
+      <div style="font-size: 11px; color: #94a3b8; margin-bottom: 6px;">Still holding: ${leftSummary}</div>
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <thead>
+          <tr style="color: #94a3b8; text-align: left;">
+            <th style="padding: 4px; font-weight: 600;">Manager</th>
+            <th style="padding: 4px; font-weight: 600;">Chips</th>
+            <th style="padding: 4px; font-weight: 600;">Likely</th>
+          </tr>
+        </thead>
+        <tbody>${rivalRows}</tbody>
+      </table>
+    ` : ""}
+  `;
+
+  return panel;
+}
+
+async function scanChipPlanner(viewId) {
+  if (!currentEventId || !fixturesLoaded) return;
+  const pitchContainer = findPitchContainer();
+  if (!pitchContainer) return;
+
+  const leagueId = getActiveLeagueId();
+  const fromEventId = nextEventId ?? currentEventId;
+  const key = `${leagueId}:${currentEventId}:${fromEventId}`;
+  const existing = document.querySelector(".fpl-chip-planner-panel");
+  if (existing && existing.dataset.key === key && existing.isConnected) return;
+
+  const options = await calculateChipPlanner(fromEventId, leagueId);
+  document.querySelector(".fpl-chip-planner-panel")?.remove();
+  if (options.myStatus.length === 0) return;
+
+  const panel = createChipPlannerPanel(options);
+  panel.dataset.key = key;
+  pitchContainer.parentElement.insertBefore(panel, pitchContainer);
+  debugLog(`[${viewId}] chip planner injected`, key);
+}
+
+// Difficulty a team faces in one GW for the ticker: blanks count as TICKER_BLANK_DIFFICULTY,
+// doubles split the average difficulty across both matches (two 3s read as 1.5).
+function getTeamEventDifficulty(fixtures, mode) {
+  if (fixtures.length === 0) return TICKER_BLANK_DIFFICULTY;
+  const known = fixtures.map((fx) => {
+    const d = getFixtureDifficultyByMode(fx, mode);
+    return Number.isFinite(d) ? d : 3;
+  });
+  return known.reduce((a, b) => a + b, 0) / known.length / known.length;
+}
+
+function buildFixtureTickerRows(fromEventId, windowSize, mode) {
+  const events = [];
+  const lastEvent = Math.max(...eventDeadlineById.keys(), Number(fromEventId));
+  for (let ev = Number(fromEventId); ev < Number(fromEventId) + windowSize && ev <= lastEvent; ev += 1) events.push(ev);
+
+  const rows = Object.entries(teamById).map(([teamId, team]) => {
+    const teamFixtures = fixturesByTeam.get(Number(teamId)) || [];
+    const cells = events.map((ev) => {
+      const fixtures = teamFixtures.filter((fx) => Number(fx.event) === ev);
+      return { event: ev, fixtures, difficulty: getTeamEventDifficulty(fixtures, mode) };
+    });
+    return {
+      teamId: Number(teamId),
+      shortName: team.short_name,
+      cells,
+      total: cells.reduce((sum, c) => sum + c.difficulty, 0),
+      blanks: cells.filter((c) => c.fixtures.length === 0).length,
+      doubles: cells.filter((c) => c.fixtures.length > 1).length
+    };
+  });
+  return { events, rows };
+}
+
+function renderFixtureTickerHtml(state) {
+  const mode = state.mode || (settings.customFdr ? "attack" : "fpl");
+  const { events, rows } = buildFixtureTickerRows(state.fromEventId, state.windowSize, mode);
+  if (state.sort === "difficulty") {
+    rows.sort((a, b) => a.total - b.total || a.shortName.localeCompare(b.shortName));
+  } else {
+    rows.sort((a, b) => a.shortName.localeCompare(b.shortName));
+  }
+
+  const lastEvent = Math.max(...eventDeadlineById.keys(), Number(state.fromEventId));
+  const firstEvent = Number(nextEventId ?? currentEventId) || 1;
+  const selectStyle = "background: #0f172a; color: #e2e8f0; border: 1px solid #334155; border-radius: 4px; font-size: 12px; padding: 2px 4px;";
+
+  const body = rows.map((row) => `
+    <tr>
+      <td style="padding: 3px 6px; font-weight: 700; color: #fff;">${row.shortName}</td>
+      ${row.cells.map((cell) => {
+        if (cell.fixtures.length === 0) {
+          return `<td style="padding: 2px;"><div style="background: #1f2937; color: #64748b; border: 1px dashed #475569; border-radius: 4px; text-align: center; padding: 3px 2px; font-size: 10px;">BLANK</div></td>`;
+        }
+        return `<td style="padding: 2px;">${cell.fixtures.map((fx) => `
+          <div style="background: ${fixtureBgByDifficulty(getFixtureDifficultyByMode(fx, mode))}; color: #0b1020; border-radius: 4px; text-align: center; padding: 3px 2px; font-size: 10px; font-weight: 700; margin-bottom: 1px;">
+            ${fx.isHome ? fx.oppShort.toUpperCase() : fx.oppShort.toLowerCase()}
+          </div>
+        `).join("")}</td>`;
+      }).join("")}
+      <td style="padding: 3px 6px; text-align: right; color: #cbd5e1;">${row.total.toFixed(1)}</td>
+      <td style="padding: 3px 6px; font-size: 10px; color: #94a3b8;">
+        ${row.doubles > 0 ? `<span style="color: #22c55e;">${row.doubles}×DGW</span>` : ""}
+        ${row.blanks > 0 ? `<span style="color: #ef4444;">${row.blanks}×BGW</span>` : ""}
+      </td>
+    </tr>
+  `).join("");
+
+  return `
+    <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 12px; flex-wrap: wrap;">
+      <h3 style="margin: 0; font-size: 16px; color: #fff; flex: 1;">📅 Fixture Ticker</h3>
+      <label style="font-size: 12px; color: #94a3b8;">From
+        <select class="fpl-ticker-from" style="${selectStyle}">
+          ${Array.from({ length: Math.max(1, lastEvent - firstEvent + 1) }, (_, i) => firstEvent + i)
+            .map((ev) => `<option value="${ev}" ${ev === state.fromEventId ? "selected" : ""}>GW${ev}</option>`).join("")}
+        </select>
+      </label>
+      <label style="font-size: 12px; color: #94a3b8;">Window
+        <select class="fpl-ticker-window" style="${selectStyle}">
+          ${TICKER_WINDOWS.map((n) => `<option value="${n}" ${n === state.windowSize ? "selected" : ""}>${n} GW</option>`).join("")}
+        </select>
+      </label>
+      <label style="font-size: 12px; color: #94a3b8;">FDR
+        <select class="fpl-ticker-mode" style="${selectStyle}">
+          <option value="fpl" ${mode === "fpl" ? "selected" : ""}>FPL</option>
+          <option value="attack" ${mode === "attack" ? "selected" : ""}>Attack</option>
+          <option value="defence" ${mode === "defence" ? "selected" : ""}>Defence</option>
+        </select>
+      </label>
+      <label style="font-size: 12px; color: #94a3b8;">Sort
+        <select class="fpl-ticker-sort" style="${selectStyle}">
+          <option value="difficulty" ${state.sort === "difficulty" ? "selected" : ""}>Easiest run</option>
+          <option value="team" ${state.sort === "team" ? "selected" : ""}>Team</option>
+        </select>
+      </label>
+      <button class="fpl-ticker-close" style="background: #334155; color: #fff; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer;">✕</button>
+    </div>
+    <div style="overflow: auto; max-height: calc(100vh - 140px);">
+      <table style="border-collapse: collapse; font-size: 11px; width: 100%;">
+        <thead>
+          <tr style="color: #94a3b8; position: sticky; top: 0; background: #0f172a;">
+            <th style="padding: 4px 6px; text-align: left;">Team</th>
+            ${events.map((ev) => `<th style="padding: 4px 2px; min-width: 44px;">GW${ev}</th>`).join("")}
+            <th style="padding: 4px 6px; text-align: right;" title="Sum of per-GW difficulty; blanks count ${TICKER_BLANK_DIFFICULTY}, doubles halve the GW's difficulty">FDR Σ</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+    <div style="font-size: 10px; color: #64748b; margin-top: 8px;">Home opponents in capitals. Lower FDR Σ = easier run.</div>
+  `;
+}
+
+function closeFixtureTicker() {
+  document.querySelector(".fpl-fixture-ticker-overlay")?.remove();
+}
+
+function openFixtureTicker() {
+  closeFixtureTicker();
+  if (!Number.isFinite(Number(fixtureTickerState.fromEventId))) {
+    fixtureTickerState.fromEventId = Number(nextEventId ?? currentEventId) || 1;
+  }
+
+  const overlay = document.createElement("div");
+  overlay.className = "fpl-fixture-ticker-overlay";
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 24px;
+    z-index: 2147483000;
+    background: #0f172a;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    color: #e2e8f0;
+    box-shadow: 0 20px 50px rgba(0,0,0,0.6);
+    font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+  `;
+
+  const render = () => {
+    overlay.innerHTML = renderFixtureTickerHtml(fixtureTickerState);
+    overlay.querySelector(".fpl-ticker-close")?.addEventListener("click", closeFixtureTicker);
+    overlay.querySelector(".fpl-ticker-from")?.addEventListener("change", (e) => {
+      fixtureTickerState.fromEventId = Number(e.target.value);
+      render();
+    });
+    overlay.querySelector(".fpl-ticker-window")?.addEventListener("change", (e) => {
+      fixtureTickerState.windowSize = Number(e.target.value);
+      render();
+    });
+    overlay.querySelector(".fpl-ticker-mode")?.addEventListener("change", (e) => {
+      fixtureTickerState.mode = e.target.value;
+      render();
+    });
+    overlay.querySelector(".fpl-ticker-sort")?.addEventListener("change", (e) => {
+      fixtureTickerState.sort = e.target.value;
+      render();
+    });
+  };
+  render();
+  document.body.appendChild(overlay);
+}
+
+// Floating launcher, present on every FPL page once fixtures are loaded.
+async function scanFixtureTickerButton() {
+  if (!fixturesLoaded || document.querySelector(".fpl-fixture-ticker-button")) return;
+  const button = document.createElement("button");
+  button.className = "fpl-fixture-ticker-button";
+  button.textContent = "📅 Fixtures";
+  button.title = "Fixture ticker for all teams";
+  button.style.cssText = `
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 2147482999;
+    background: #1e293b;
+    color: #e2e8f0;
+    border: 1px solid #334155;
+    border-radius: 999px;
+    padding: 8px 14px;
+    font-size: 12px;
+    font-weight: 600;
+    cursor: pointer;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+  `;
+  button.addEventListener("click", () => {
+    if (document.querySelector(".fpl-fixture-ticker-overlay")) closeFixtureTicker();
+    else openFixtureTicker();
+  });
+  document.body.appendChild(button);
+}
+
+function closeComparisonOverlay() {
+  document.querySelector(".fpl-compare-overlay")?.remove();
+}
+
+function clearComparePending() {
+  comparePendingId = null;
+  document.querySelectorAll(".fpl-xg-badge[data-compare-pending]").forEach((n) => {
+    n.style.outline = "";
+    delete n.dataset.comparePending;
+  });
+}
+
+// Badge shift-click marks a first player; a shift-click on another badge opens both side by
+// side, a second one on the same badge opens that player alone.
+function handleBadgeCompareClick(badge, playerId) {
+  if (comparePendingId === playerId) {
+    clearComparePending();
+    openComparisonOverlay([playerId]);
+    return;
+  }
+  if (comparePendingId == null) {
+    clearComparePending();
+    comparePendingId = playerId;
+    badge.dataset.comparePending = "1";
+    badge.style.outline = `2px solid ${COMPARE_COLORS[0]}`;
+    return;
+  }
+  const first = comparePendingId;
+  clearComparePending();
+  openComparisonOverlay([first, playerId]);
+}
+
+// One small line chart: x = GW, y = metric; one polyline per player (missing GWs skipped).
+function renderComparisonChartSvg(metric, seriesList, rounds) {
+  const width = 260;
+  const height = 90;
+  const pad = 18;
+  const values = seriesList.flatMap((s) => s.matches.map((m) => Number(m[metric.key]) || 0));
+  const maxY = Math.max(metric.minMax || 1, ...values);
+  const minRound = Math.min(...rounds);
+  const maxRound = Math.max(...rounds);
+  const x = (round) => pad + ((round - minRound) / Math.max(1, maxRound - minRound)) * (width - pad * 2);
+  const y = (v) => height - pad - (v / maxY) * (height - pad * 2);
+
+  const lines = seriesList.map((s, i) => {
+    const points = s.matches.map((m) => `${x(m.round).toFixed(1)},${y(Number(m[metric.key]) || 0).toFixed(1)}`).join(" ");
+    return `
+      <polyline points="${points}" fill="none" stroke="${COMPARE_COLORS[i]}" stroke-width="1.5" />
+      ${s.matches.map((m) => `<circle cx="${x(m.round).toFixed(1)}" cy="${y(Number(m[metric.key]) || 0).toFixed(1)}" r="1.8" fill="${COMPARE_COLORS[i]}"><title>GW${m.round} ${m.opponent}: ${m[metric.key]}</title></circle>`).join("")}
+    `;
+  }).join("");
+
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="background: #0b1220; border-radius: 4px;">
+      <text x="${pad}" y="12" fill="#94a3b8" font-size="10">${metric.label}</text>
+      <text x="${width - pad}" y="12" fill="#64748b" font-size="9" text-anchor="end">max ${Number(maxY.toFixed(2))}</text>
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#334155" />
+      <text x="${pad}" y="${height - 4}" fill="#64748b" font-size="9">GW${minRound}</text>
+      <text x="${width - pad}" y="${height - 4}" fill="#64748b" font-size="9" text-anchor="end">GW${maxRound}</text>
+      ${lines}
+    </svg>
+  `;
+}
+
+function summarizeMatches(matches) {
+  const totals = { apps: 0 };
+  for (const metric of COMPARE_METRICS) totals[metric.key] = 0;
+  for (const m of matches) {
+    if (m.minutes > 0) totals.apps += 1;
+    for (const metric of COMPARE_METRICS) totals[metric.key] += Number(m[metric.key]) || 0;
+  }
+  return totals;
+}
+
+function renderComparisonHtml(players) {
+  const rounds = players.flatMap((p) => p.matches.map((m) => m.round));
+  const nineties = (p) => p.totals.minutes / 90;
+
+  const header = players.map((p, i) => {
+    const info = playerById[p.id] || {};
+    return `
+      <div style="flex: 1; min-width: 180px; border-left: 3px solid ${COMPARE_COLORS[i]}; padding-left: 8px;">
+        <div style="font-size: 15px; font-weight: 700; color: #fff;">${info.web_name || `#${p.id}`}</div>
+        <div style="font-size: 11px; color: #94a3b8;">
+          ${teamById[info.team]?.short_name || "?"} · ${POSITION_SHORT[info.element_type] || "?"} · ${formatCost(info.now_cost)} · form ${Number(info.form || 0).toFixed(1)} · xPts ${Number(info.ep_next || 0).toFixed(1)}
+        </div>
+      </div>
+    `;
+  }).join("");
+
+  const totalsRows = [{ key: "apps", label: "Apps", perNinety: false }, ...COMPARE_METRICS].map((metric) => `
+    <tr style="border-top: 1px solid #334155;">
+      <td style="padding: 4px; color: #94a3b8;">${metric.label}</td>
+      ${players.map((p) => {
+        const total = p.totals[metric.key];
+        const per90 = metric.perNinety && nineties(p) > 0 ? ` <span style="color: #64748b;">(${(total / nineties(p)).toFixed(2)}/90)</span>` : "";
+        return `<td style="padding: 4px;">${Number(total.toFixed(2))}${per90}</td>`;
+      }).join("")}
+    </tr>
+  `).join("");
+
+  const fixtureRows = players.map((p, i) => `
+    <div style="display: flex; align-items: center; gap: 4px; margin-bottom: 4px;">
+      <span style="width: 8px; height: 8px; border-radius: 50%; background: ${COMPARE_COLORS[i]};"></span>
+      ${getFixtureSlotsForPlayer(p.id, COMPARE_UPCOMING_GWS).map((slot) => (slot.fixtures.length === 0
+        ? `<span style="min-width: 44px; text-align: center; font-size: 10px; padding: 2px; border-radius: 3px; color: #94a3b8; border: 1px dashed #475569;">GW${slot.event} –</span>`
+        : slot.fixtures.map((fx) => `<span style="min-width: 44px; text-align: center; font-size: 10px; padding: 2px; border-radius: 3px; color: #0b1020; font-weight: 600; background: ${fixtureBgByDifficulty(getFixtureDifficulty(fx, playerById[p.id]?.element_type))};">GW${slot.event} ${fx.isHome ? fx.oppShort.toUpperCase() : fx.oppShort.toLowerCase()}</span>`).join(""))).join("")}
+    </div>
+  `).join("");
+
+  return `
+    <div style="display: flex; align-items: flex-start; gap: 12px; margin-bottom: 12px;">
+      ${header}
+      <button class="fpl-compare-close" style="background: #334155; color: #fff; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer;">✕</button>
+    </div>
+    <div style="overflow: auto; max-height: calc(100vh - 140px);">
+      <div style="display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 12px;">
+        <table style="border-collapse: collapse; font-size: 11px; min-width: 260px;">
+          <thead>
+            <tr style="color: #94a3b8; text-align: left;">
+              <th style="padding: 4px;">Season</th>
+              ${players.map((p, i) => `<th style="padding: 4px; color: ${COMPARE_COLORS[i]};">${playerById[p.id]?.web_name || `#${p.id}`}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>${totalsRows}</tbody>
+        </table>
+        <div>
+          <div style="font-size: 12px; color: #94a3b8; margin-bottom: 6px;">Upcoming fixtures</div>
+          ${fixtureRows}
+          ${players[0].upcoming.length > 0
+            ? renderComparisonChartSvg(
+              { key: "projected", label: "Projected pts per GW" },
+              players.map((p) => ({ matches: p.upcoming })),
+              players[0].upcoming.map((g) => g.round)
+            )
+            : ""}
+        </div>
+      </div>
+      ${rounds.length > 0 ? `
+        <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(264px, 1fr)); gap: 8px;">
+          ${COMPARE_METRICS.map((metric) => renderComparisonChartSvg(metric, players, rounds)).join("")}
+        </div>
+      ` : `<div style="font-size: 11px; color: #64748b;">No matches played this season.</div>`}
+    </div>
+    <div style="font-size: 10px; color: #64748b; margin-top: 8px;">Shift-click two badges to compare them.</div>
+  `;
+}
+
+async function openComparisonOverlay(playerIds) {
+  closeComparisonOverlay();
+  const overlay = document.createElement("div");
+  overlay.className = "fpl-compare-overlay";
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 24px;
+    z-index: 2147483000;
+    background: #0f172a;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    color: #e2e8f0;
+    box-shadow: 0 20px 50px rgba(0,0,0,0.6);
+    font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+  `;
+  overlay.innerHTML = `<div style="font-size: 12px; color: #94a3b8;">Loading…</div>`;
+  document.body.appendChild(overlay);
+
+  const loaded = await Promise.all(playerIds.map((id) => loadPlayerData(id)));
+  if (!overlay.isConnected) return;
+  const players = playerIds.map((id, i) => {
+    const matches = loaded[i]?.matches || [];
+    const projection = projectPlayerPoints(id, loaded[i], nextEventId ?? currentEventId, COMPARE_UPCOMING_GWS);
+    const upcoming = projection.perGw.map((g) => ({
+      round: g.event,
+      opponent: g.fixtures.map((fx) => fx.oppShort).join("+") || "blank",
+      projected: Number(g.points.toFixed(2))
+    }));
+    return { id, matches, upcoming, totals: summarizeMatches(matches) };
+  });
+  overlay.innerHTML = renderComparisonHtml(players);
+  overlay.querySelector(".fpl-compare-close")?.addEventListener("click", closeComparisonOverlay);
+}
+
+function isWatched(playerId) {
+  return watchlist.includes(Number(playerId));
+}
+
+async function toggleWatched(playerId) {
+  const id = Number(playerId);
+  try {
+    watchlist = await saveWatchlist(isWatched(id) ? watchlist.filter((w) => w !== id) : [...watchlist, id]);
+  } catch (e) {
+    // Usually the sync write quota; keep showing what is actually stored.
+    console.error("toggleWatched failed", e);
+    watchlist = await loadWatchlist();
+  }
+  renderWatchlistDock();
+}
+
+function searchPlayers(query, limit = PALETTE_MAX_RESULTS) {
+  const q = normalizePlayerName(query);
+  if (!q) return [];
+  const scored = [];
+  for (const [id, p] of Object.entries(playerById)) {
+    const name = normalizePlayerName(p.web_name);
+    const team = normalizePlayerName(teamById[p.team]?.short_name);
+    let score = -1;
+    if (name === q) score = 3;
+    else if (name.startsWith(q)) score = 2;
+    else if (name.includes(q)) score = 1;
+    else if (team === q) score = 0;
+    if (score >= 0) scored.push({ id: Number(id), p, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || b.p.ep_next - a.p.ep_next)
+    .slice(0, limit);
+}
+
+function closeSearchPalette() {
+  document.querySelector(".fpl-search-palette")?.remove();
+}
+
+// Ctrl/⌘+K palette over every player: arrows move, Enter toggles the watchlist.
+function openSearchPalette() {
+  closeSearchPalette();
+  const palette = document.createElement("div");
+  palette.className = "fpl-search-palette";
+  palette.style.cssText = `
+    position: fixed;
+    top: 12vh;
+    left: 50%;
+    transform: translateX(-50%);
+    width: min(520px, 92vw);
+    z-index: 2147483001;
+    background: #0f172a;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    box-shadow: 0 20px 50px rgba(0,0,0,0.6);
+    color: #e2e8f0;
+    font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+  `;
+  palette.innerHTML = `
+    <input class="fpl-search-input" type="text" placeholder="Search players or team (e.g. ARS)…" style="
+      width: 100%;
+      box-sizing: border-box;
+      background: #1e293b;
+      color: #fff;
+      border: none;
+      border-bottom: 1px solid #334155;
+      border-radius: 8px 8px 0 0;
+      padding: 12px 14px;
+      font-size: 14px;
+      outline: none;
+    " />
+    <div class="fpl-search-results" style="max-height: 50vh; overflow: auto;"></div>
+    <div style="font-size: 10px; color: #64748b; padding: 6px 14px;">↑↓ move · Enter watch/unwatch · Esc close</div>
+  `;
+  document.body.appendChild(palette);
+
+  const input = palette.querySelector(".fpl-search-input");
+  const resultsEl = palette.querySelector(".fpl-search-results");
+  let results = [];
+  let active = 0;
+
+  const render = () => {
+    resultsEl.innerHTML = results.map((r, i) => `
+      <div class="fpl-search-row" data-index="${i}" style="
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 7px 14px;
+        font-size: 12px;
+        cursor: pointer;
+        background: ${i === active ? "#1e3a5f" : "transparent"};
+      ">
+        <span style="color: #fbbf24; width: 14px;">${isWatched(r.id) ? "★" : "☆"}</span>
+        <span style="flex: 1; font-weight: 600;">${r.p.web_name}</span>
+        <span style="color: #94a3b8;">${teamById[r.p.team]?.short_name || "?"} · ${POSITION_SHORT[r.p.element_type] || "?"}</span>
+        <span style="color: #cbd5e1; width: 52px; text-align: right;">${formatCost(r.p.now_cost)}</span>
+        <span style="color: #94a3b8; width: 58px; text-align: right;">xPts ${r.p.ep_next.toFixed(1)}</span>
+      </div>
+    `).join("") || `<div style="padding: 10px 14px; font-size: 12px; color: #64748b;">${input.value ? "No players found." : "Type to search."}</div>`;
+    resultsEl.querySelectorAll(".fpl-search-row").forEach((row) => {
+      row.addEventListener("click", async () => {
+        await toggleWatched(results[Number(row.dataset.index)].id);
+        render();
+      });
+    });
+  };
+
+  input.addEventListener("input", () => {
+    results = searchPlayers(input.value);
+    active = 0;
+    render();
+  });
+  input.addEventListener("keydown", async (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (results.length === 0) return;
+      active = (active + (e.key === "ArrowDown" ? 1 : -1) + results.length) % results.length;
+      render();
+    } else if (e.key === "Enter" && results[active]) {
+      e.preventDefault();
+      await toggleWatched(results[active].id);
+      render();
+    } else if (e.key === "Escape") {
+      closeSearchPalette();
+    }
+  });
+  render();
+  input.focus();
+}
+
+async function renderWatchlistDock() {
+  const dock = document.querySelector(".fpl-watchlist-dock");
+  if (!dock) return;
+  const ownershipData = Number.isFinite(Number(currentEventId)) && Number.isFinite(Number(getActiveLeagueId()))
+    ? await loadMiniLeagueOwnership(currentEventId)
+    : null;
+
+  const rows = watchlist.filter((id) => playerById[id]).map((id) => {
+    const p = playerById[id];
+    const own = ownershipData?.totalRivals > 0
+      ? formatPercent(ownershipData.playerOwnership.get(id)?.ownershipPct || 0)
+      : "n/a";
+    const fixtures = getFixtureSlotsForPlayer(id, WATCHLIST_FIXTURES).map((slot) => (slot.fixtures.length === 0
+      ? `<span style="font-size: 9px; padding: 1px 3px; border-radius: 3px; color: #94a3b8; border: 1px dashed #475569;">–</span>`
+      : slot.fixtures.map((fx) => `<span style="font-size: 9px; padding: 1px 3px; border-radius: 3px; color: #0b1020; background: ${fixtureBgByDifficulty(getFixtureDifficulty(fx, p.element_type))};">${fx.isHome ? fx.oppShort.toUpperCase() : fx.oppShort.toLowerCase()}</span>`).join(""))).join(" ");
+    return `
+      <tr style="border-top: 1px solid #334155;">
+        <td style="padding: 4px; font-weight: 600; white-space: nowrap;">${p.web_name} <span style="color: #64748b; font-weight: 400;">${teamById[p.team]?.short_name || "?"}</span></td>
+        <td style="padding: 4px;">${formatCost(p.now_cost)}</td>
+        <td style="padding: 4px;">${p.form.toFixed(1)}</td>
+        <td style="padding: 4px;">${p.ep_next.toFixed(1)}</td>
+        <td style="padding: 4px; white-space: nowrap;">${fixtures}</td>
+        <td style="padding: 4px;">${own}</td>
+        <td style="padding: 4px;"><button class="fpl-watch-remove" data-player-id="${id}" style="background: none; border: none; color: #64748b; cursor: pointer;">✕</button></td>
+      </tr>
+    `;
+  }).join("");
+
+  dock.innerHTML = `
+    <div style="display: flex; align-items: center; gap: 8px;">
+      <button class="fpl-watch-toggle" style="background: none; border: none; color: #fbbf24; font-weight: 700; cursor: pointer; padding: 0;">
+        ★ Watchlist (${watchlist.length}) ${watchlistDockOpen ? "▾" : "▸"}
+      </button>
+      <span style="flex: 1;"></span>
+      <button class="fpl-watch-search" title="Search players (Ctrl/⌘+K)" style="background: #334155; border: none; color: #e2e8f0; border-radius: 4px; padding: 2px 8px; cursor: pointer; font-size: 11px;">🔍 Ctrl K</button>
+    </div>
+    ${watchlistDockOpen ? (rows ? `
+      <table style="border-collapse: collapse; font-size: 11px; margin-top: 6px;">
+        <thead>
+          <tr style="color: #94a3b8; text-align: left;">
+            <th style="padding: 4px;">Player</th>
+            <th style="padding: 4px;">£</th>
+            <th style="padding: 4px;">Form</th>
+            <th style="padding: 4px;">xPts</th>
+            <th style="padding: 4px;">Next</th>
+            <th style="padding: 4px;" title="Owned by rivals in ${escapeHtml(getLeagueName(getActiveLeagueId()))}">ML%</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    ` : `<div style="font-size: 11px; color: #64748b; margin-top: 6px;">Press Ctrl/⌘+K to find and watch players.</div>`) : ""}
+  `;
+  dock.querySelector(".fpl-watch-toggle")?.addEventListener("click", () => {
+    watchlistDockOpen = !watchlistDockOpen;
+    renderWatchlistDock();
+  });
+  dock.querySelector(".fpl-watch-search")?.addEventListener("click", openSearchPalette);
+  dock.querySelectorAll(".fpl-watch-remove").forEach((btn) => {
+    btn.addEventListener("click", () => toggleWatched(Number(btn.dataset.playerId)));
+  });
+}
+
+// Floating dock, present on every FPL page once bootstrap is loaded.
+async function scanWatchlistDock() {
+  if (Object.keys(playerById).length === 0 || document.querySelector(".fpl-watchlist-dock")) return;
+  const dock = document.createElement("div");
+  dock.className = "fpl-watchlist-dock";
+  dock.style.cssText = `
+    position: fixed;
+    left: 16px;
+    bottom: 16px;
+    z-index: 2147482999;
+    max-width: min(560px, calc(100vw - 200px));
+    max-height: 50vh;
+    overflow: auto;
+    background: #0f172a;
+    color: #e2e8f0;
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 8px 10px;
+    font-size: 12px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+    font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+  `;
+  document.body.appendChild(dock);
+  await renderWatchlistDock();
+}
+
+// Snapshot of the price-relevant bootstrap fields; compact arrays keep chrome.storage.local small.
+// players: { id: [now_cost, cost_change_event, transfers_in_event, transfers_out_event, selected_by_percent] }
+function buildPriceSnapshot() {
+  const players = {};
+  for (const [id, p] of Object.entries(playerById)) {
+    players[id] = [p.now_cost, p.cost_change_event, p.transfers_in_event, p.transfers_out_event, p.selected_by_percent];
+  }
+  // The bootstrap may come from the cache; velocity needs the time FPL served it.
+  const takenAt = apiFetchedAtByPath.get("/bootstrap-static/") ?? Date.now();
+  return { takenAt, eventId: nextEventId ?? currentEventId, totalPlayers: totalFplPlayers, players };
+}
+
+// Appends a snapshot (at most every PRICE_SNAPSHOT_MIN_INTERVAL_MS unless a price moved) and
+// logs price changes per player: { [id]: [{ at, from, to }] }.
+async function recordPriceSnapshot() {
+  // A failed bootstrap leaves no players; an empty snapshot would hide the next price moves.
+  if (Object.keys(playerById).length === 0) return;
+  try {
+    const stored = await chrome.storage.local.get(PRICE_STORAGE_KEY);
+    const history = stored?.[PRICE_STORAGE_KEY] || {};
+    const snapshots = Array.isArray(history.snapshots) ? history.snapshots : [];
+    const changes = history.changes && typeof history.changes === "object" ? history.changes : {};
+    const snapshot = buildPriceSnapshot();
+    const last = snapshots[snapshots.length - 1];
+
+    let priceMoved = false;
+    if (last) {
+      for (const [id, row] of Object.entries(snapshot.players)) {
+        const prev = last.players?.[id];
+        if (!prev || prev[0] === row[0]) continue;
+        priceMoved = true;
+        changes[id] = [...(changes[id] || []), { at: snapshot.takenAt, from: prev[0], to: row[0] }].slice(-PRICE_CHANGE_LOG_MAX);
+      }
+    }
+
+    const append = !last || priceMoved || snapshot.takenAt - last.takenAt >= PRICE_SNAPSHOT_MIN_INTERVAL_MS;
+    if (append) snapshots.push(snapshot);
+    priceHistory = { snapshots: snapshots.slice(-PRICE_SNAPSHOT_MAX), changes };
+    // The history is a megabyte or two; only rewrite it when it grew.
+    if (append) await chrome.storage.local.set({ [PRICE_STORAGE_KEY]: priceHistory });
+  } catch (e) {
+    debugLog("recordPriceSnapshot failed", e);
+    priceHistory = { snapshots: [buildPriceSnapshot()], changes: {} };
+  }
+  pricePredictions = computePricePredictions(priceHistory);
+}
+
+function getNextPriceUpdateMs(now = Date.now()) {
+  const d = new Date(now);
+  const next = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), PRICE_UPDATE_UTC_HOUR, PRICE_UPDATE_UTC_MINUTE);
+  return next > now ? next : next + 24 * 60 * 60 * 1000;
+}
+
+// FPL does not publish its price algorithm; this is the usual community approximation.
+// Net transfers since the player's last price move (or the start of the GW), extrapolated to
+// the next overnight update at the velocity seen across our snapshots, as a share of the
+// player's owners. Progress >= 100% predicts a move tonight.
+function computePricePredictions(history) {
+  const out = new Map();
+  const snapshots = history?.snapshots || [];
+  const latest = snapshots[snapshots.length - 1];
+  if (!latest) return out;
+  const totalPlayers = Number(latest.totalPlayers) || 0;
+  const hoursLeft = Math.max(0, (getNextPriceUpdateMs(latest.takenAt) - latest.takenAt) / 3600000);
+  const sameEvent = snapshots.filter((s) => s.eventId === latest.eventId);
+
+  for (const [id, row] of Object.entries(latest.players)) {
+    const [cost, changeEvent, tIn, tOut, selectedPct] = row;
+    const net = Number(tIn) - Number(tOut);
+    const owners = (Number(selectedPct) / 100) * totalPlayers;
+    if (!(owners > 0)) continue;
+
+    // Baseline: the first snapshot this GW at the current price; if the price moved during the
+    // GW, transfers before that snapshot were already spent on the move.
+    let startIndex = sameEvent.length - 1;
+    while (startIndex > 0 && sameEvent[startIndex - 1].players?.[id]?.[0] === cost) startIndex -= 1;
+    // Price moved this GW before our first snapshot: the transfers it consumed are unknown.
+    if (startIndex === 0 && Number(changeEvent) !== 0) continue;
+    const from = sameEvent[startIndex];
+    const fromNet = Number(from.players?.[id]?.[2]) - Number(from.players?.[id]?.[3]);
+    const baselineNet = startIndex > 0 && Number.isFinite(fromNet) ? fromNet : 0;
+    const netSinceChange = net - baselineNet;
+
+    // Velocity across the snapshots since the baseline.
+    const hours = (latest.takenAt - from.takenAt) / 3600000;
+    const velocityPerHour = hours >= 1 && Number.isFinite(fromNet) ? (net - fromNet) / hours : 0;
+    const projectedNet = netSinceChange + velocityPerHour * hoursLeft;
+
+    const threshold = owners * (projectedNet >= 0 ? PRICE_RISE_SHARE : PRICE_FALL_SHARE);
+    const progress = threshold > 0 ? (projectedNet / threshold) * 100 : 0;
+    const direction = progress >= 100 ? 1 : (progress <= -100 ? -1 : 0);
+    out.set(Number(id), { direction, progress, netSinceChange, projectedNet, velocityPerHour, owners });
+  }
+  return out;
+}
+
+function getPriceMarkerHtml(playerId) {
+  const prediction = pricePredictions.get(Number(playerId));
+  if (!prediction || prediction.direction === 0) return "";
+  const rise = prediction.direction > 0;
+  return ` <span title="Predicted price ${rise ? "rise" : "fall"} tonight (${Math.round(Math.abs(prediction.progress))}% of threshold)" style="color:${rise ? "#22c55e" : "#ef4444"}">${rise ? "▲" : "▼"}</span>`;
+}
+
+function renderPriceWatchHtml() {
+  const ranked = Array.from(pricePredictions.entries())
+    .filter(([id]) => playerById[id])
+    .map(([id, pred]) => ({ id, ...pred }));
+  const risers = ranked.filter((r) => r.progress > 0).sort((a, b) => b.progress - a.progress).slice(0, PRICE_WATCH_ROWS);
+  const fallers = ranked.filter((r) => r.progress < 0).sort((a, b) => a.progress - b.progress).slice(0, PRICE_WATCH_ROWS);
+  const snapshots = priceHistory?.snapshots || [];
+
+  const list = (rows, rise) => rows.map((r) => {
+    const p = playerById[r.id];
+    const recent = (priceHistory?.changes?.[r.id] || []).slice(-1)[0];
+    return `
+      <tr style="border-top: 1px solid #334155;">
+        <td style="padding: 4px; font-weight: 600;">${p.web_name} <span style="color: #64748b; font-weight: 400;">${teamById[p.team]?.short_name || "?"}</span></td>
+        <td style="padding: 4px;">${formatCost(p.now_cost)}${recent ? ` <span style="color: #64748b;" title="Last change ${new Date(recent.at).toLocaleString()}">${recent.to > recent.from ? "↑" : "↓"}</span>` : ""}</td>
+        <td style="padding: 4px; color: ${rise ? "#22c55e" : "#ef4444"};">${Math.round(r.progress)}%</td>
+        <td style="padding: 4px; color: #94a3b8;">${r.netSinceChange >= 0 ? "+" : ""}${Math.round(r.netSinceChange).toLocaleString()}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const table = (title, rows, rise) => `
+    <div style="flex: 1; min-width: 240px;">
+      <h4 style="font-size: 13px; color: ${rise ? "#22c55e" : "#ef4444"}; margin: 0 0 6px 0;">${title}</h4>
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <thead>
+          <tr style="color: #94a3b8; text-align: left;">
+            <th style="padding: 4px;">Player</th>
+            <th style="padding: 4px;">Price</th>
+            <th style="padding: 4px;" title="Projected share of the move threshold by the next update">Progress</th>
+            <th style="padding: 4px;" title="Net transfers since the last price change">Net</th>
+          </tr>
+        </thead>
+        <tbody>${list(rows, rise) || `<tr><td colspan="4" style="padding: 4px; color: #64748b;">None</td></tr>`}</tbody>
+      </table>
+    </div>
+  `;
+
+  return `
+    <h3 style="margin: 0 0 4px 0; font-size: 16px; color: #fff;">💷 Price Watch</h3>
+    <div style="font-size: 11px; color: #94a3b8; margin-bottom: 8px;">
+      Predicted from net-transfer velocity across ${snapshots.length} snapshot${snapshots.length === 1 ? "" : "s"}
+      · next update ≈ ${new Date(getNextPriceUpdateMs()).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+      · estimates only
+    </div>
+    <div style="display: flex; flex-wrap: wrap; gap: 16px;">
+      ${table("▲ Likely risers", risers, true)}
+      ${table("▼ Likely fallers", fallers, false)}
+    </div>
+  `;
+}
+
+async function scanPriceWatch(viewId) {
+  if (pricePredictions.size === 0) return;
+  const pitchContainer = findPitchContainer();
+  if (!pitchContainer) return;
+  const key = String(priceHistory?.snapshots?.slice(-1)[0]?.takenAt || "");
+  const existing = document.querySelector(".fpl-price-watch-panel");
+  if (existing && existing.dataset.key === key) return;
+  existing?.remove();
+
+  const panel = document.createElement("div");
+  panel.className = "fpl-price-watch-panel";
+  panel.dataset.key = key;
+  panel.style.cssText = `
+    background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    border: 1px solid #334155;
+    border-radius: 8px;
+    padding: 16px;
+    margin-bottom: 16px;
+    color: #e2e8f0;
+  `;
+  panel.innerHTML = renderPriceWatchHtml();
+  pitchContainer.parentElement.insertBefore(panel, pitchContainer);
+  debugLog(`[${viewId}] price watch injected`);
+}
+
+function isFixtureInProgress(fx) {
+  return Boolean(fx?.started) && !fx?.finished && !fx?.finished_provisional;
+}
+
+// Provisional bonus from live BPS for fixtures whose bonus is not confirmed yet.
+// Ties share the higher award and push the next player down (3,3,1 / 3,2,2).
+function computeProvisionalBonus(fixtures) {
+  const bonusByElement = new Map();
+  for (const fx of Array.isArray(fixtures) ? fixtures : []) {
+    if (!fx?.started || fx?.finished) continue;
+    const bpsStat = (Array.isArray(fx.stats) ? fx.stats : []).find((st) => st?.identifier === "bps");
+    if (!bpsStat) continue;
+    const rows = [...(bpsStat.h || []), ...(bpsStat.a || [])]
+      .map((r) => ({ element: Number(r?.element), value: Number(r?.value) }))
+      .filter((r) => Number.isFinite(r.element) && Number.isFinite(r.value))
+      .sort((a, b) => b.value - a.value);
+
+    let position = 0;
+    let i = 0;
+    while (i < rows.length && position < LIVE_BONUS_POINTS.length) {
+      const value = rows[i].value;
+      const group = [];
+      while (i < rows.length && rows[i].value === value) {
+        group.push(rows[i]);
+        i += 1;
+      }
+      const award = LIVE_BONUS_POINTS[position];
+      for (const r of group) {
+        bonusByElement.set(r.element, (bonusByElement.get(r.element) || 0) + award);
+      }
+      position += group.length;
+    }
+  }
+  return bonusByElement;
+}
+
+function buildLiveState(eventId, liveData, fixtures) {
+  const list = Array.isArray(fixtures) ? fixtures : [];
+  const fixtureById = new Map(list.map((fx) => [Number(fx?.id), fx]));
+  const provisional = computeProvisionalBonus(list);
+  const byElement = new Map();
+
+  for (const el of Array.isArray(liveData?.elements) ? liveData.elements : []) {
+    const id = Number(el?.id);
+    if (!Number.isFinite(id)) continue;
+    const st = el?.stats || {};
+    const fixtureIds = (Array.isArray(el?.explain) ? el.explain : []).map((x) => Number(x?.fixture));
+    const elFixtures = fixtureIds.map((fid) => fixtureById.get(fid)).filter(Boolean);
+    // Once FPL adds bonus (finished_provisional onwards) it is already in total_points.
+    const provisionalBonus = Number(st.bonus || 0) === 0 ? provisional.get(id) || 0 : 0;
+    const points = Number(st.total_points || 0);
+    byElement.set(id, {
+      minutes: Number(st.minutes || 0),
+      points: points + provisionalBonus,
+      rawPoints: points,
+      bonus: Number(st.bonus || 0),
+      provisionalBonus,
+      bps: Number(st.bps || 0),
+      inProgress: elFixtures.some(isFixtureInProgress),
+      // All of the player's fixtures are done (or he has none: blank GW).
+      fixturesDone: elFixtures.every((fx) => fx.finished || fx.finished_provisional)
+    });
+  }
+
+  const now = Date.now();
+  const kickoffs = list
+    .filter((fx) => !fx?.started)
+    .map((fx) => Date.parse(String(fx?.kickoff_time || "")))
+    .filter((ms) => Number.isFinite(ms) && ms > now);
+  let signature = 0;
+  for (const [id, l] of byElement.entries()) signature = (signature * 31 + id * 7 + l.points * 13 + l.minutes) % 1000000007;
+
+  return {
+    eventId: Number(eventId),
+    byElement,
+    fixtures: list,
+    inProgress: list.some(isFixtureInProgress),
+    nextKickoff: kickoffs.length > 0 ? Math.min(...kickoffs) : null,
+    signature,
+    updatedAt: now
+  };
+}
+
+async function refreshLiveState(fresh) {
+  const ev = Number(currentEventId);
+  if (!Number.isFinite(ev) || ev < 1) return null;
+  try {
+    const [liveData, fixtures] = await Promise.all([
+      fetchApiJson(`/event/${ev}/live/`, { fresh }),
+      fetchApiJson(`/fixtures/?event=${ev}`, { fresh })
+    ]);
+    const previous = liveState;
+    liveState = buildLiveState(ev, liveData, fixtures);
+    return { changed: !previous || previous.signature !== liveState.signature };
+  } catch (e) {
+    debugLog("refreshLiveState failed", ev, e);
+    return null;
+  }
+}
+
+// Live data changed: drop what was derived from it and re-render.
+function applyLiveUpdate() {
+  const ev = Number(currentEventId);
+  Object.keys(cache).forEach((k) => {
+    if (k.split(":")[1] === String(ev)) delete cache[k];
+  });
+  invalidateOwnershipCaches();
+  leagueDataCache.clear();
+  document.querySelectorAll(".fpl-xg-badge").forEach((n) => n.remove());
+  scheduleScan();
+}
+
+function scheduleLiveTick(delayMs) {
+  if (liveTimer) clearTimeout(liveTimer);
+  liveTimer = setTimeout(liveTick, delayMs);
+}
+
+async function liveTick() {
+  liveTimer = null;
+  if (!isLiveGameweek()) {
+    debugLog("Live mode stopped: no live gameweek");
+    return;
+  }
+
+  const result = await refreshLiveState(true);
+  if (result?.changed) applyLiveUpdate();
+  scheduleNextLiveTick();
+}
+
+function scheduleNextLiveTick() {
+  if (liveState?.inProgress) {
+    scheduleLiveTick(LIVE_POLL_INTERVAL_MS);
+  } else if (Number.isFinite(liveState?.nextKickoff)) {
+    scheduleLiveTick(Math.min(LIVE_MAX_IDLE_WAIT_MS, Math.max(LIVE_POLL_INTERVAL_MS, liveState.nextKickoff - Date.now())));
+  } else {
+    debugLog("Live mode stopped: all fixtures finished");
+  }
+}
+
+// Event status only comes from bootstrap: reload it after the next deadline so a tab
+// opened before the GW moves on to the new event and enters live mode.
+function scheduleBootstrapRefresh() {
+  if (bootstrapRefreshTimer) clearTimeout(bootstrapRefreshTimer);
+  bootstrapRefreshTimer = null;
+  const deadline = eventDeadlineById.get(Number(nextEventId));
+  const untilDeadline = Number.isFinite(deadline) ? deadline - Date.now() + LIVE_POLL_INTERVAL_MS : BOOTSTRAP_REFRESH_MAX_WAIT_MS;
+  // Also wake shortly after the overnight price update for a fresh price snapshot.
+  const untilPriceUpdate = getNextPriceUpdateMs() - Date.now() + PRICE_REFRESH_DELAY_MS;
+  bootstrapRefreshTimer = setTimeout(async () => {
+    bootstrapRefreshTimer = null;
+    await loadBootstrap(true);
+    await recordPriceSnapshot();
+    invalidateOwnershipCaches();
+    leagueDataCache.clear();
+    resetInjectedUi();
+    scheduleScan();
+    await startLiveMode();
+  }, Math.min(BOOTSTRAP_REFRESH_MAX_WAIT_MS, untilPriceUpdate, Math.max(LIVE_POLL_INTERVAL_MS, untilDeadline)));
+}
+
+async function startLiveMode() {
+  scheduleBootstrapRefresh();
+  if (!isLiveGameweek() || liveTimer) return;
+  debugLog("Live mode started for event", currentEventId);
+  await refreshLiveState(false);
+  scheduleNextLiveTick();
+}
+
+async function scan() {
+  if (!shouldAttemptScan()) return;
+  if (scanInProgress) {
+    scanQueued = true;
+    return;
+  }
+
+  scanInProgress = true;
+
+  try {
+    const path = window.location.pathname || "/";
+    if (path !== lastScanPath) {
+      lastScanPath = path;
+      myTeamSelectionCache = null; // a save on the previous page may have changed it
+    }
+    const activeViews = getActiveViews(path);
+    if (activeViews.length === 0) return;
+
+    for (const view of activeViews) {
+      await view.scan(view.id);
+    }
+  } finally {
+    scanInProgress = false;
+    if (scanQueued) {
+      scanQueued = false;
+      scheduleScan();
+    }
+  }
+}
+
+function invalidateOwnershipCaches() {
+  miniLeagueOwnershipCache.clear();
+  rivalPicksCache.clear();
+  myCurrentTeamCache.clear();
+  debugLog("Ownership caches invalidated");
+}
+
+// Drop everything we injected so the next scan re-renders against fresh data.
+function resetInjectedUi() {
+  myTeamSelectionCache = null;
+  document.querySelectorAll(".fpl-xg-badge, .fpl-diff-insights-panel, .fpl-captain-picker-panel, .fpl-transfer-planner-panel, .fpl-price-watch-panel, .fpl-chip-planner-panel").forEach((n) => n.remove());
+  cleanupCaptainInjections();
+  closeFreeTransferLedger();
+  renderWatchlistDock(); // league ownership may have changed
+}
+
+function applySettings(next) {
+  settings = next;
+  invalidateOwnershipCaches();
+  leagueDataCache.clear(); // the resolved FT depends on the manual override
+  resetInjectedUi();
+  debugLog("Settings updated, tracked leagues:", getTrackedLeagues().map((l) => l.id).join(", "));
+  scheduleScan();
+}
+
+async function init() {
+  debugLog("FPL XG running", new Date().toISOString());
+  persistentCachePrune().catch(() => {});
+  settings = await loadSettings();
+  onSettingsChanged(applySettings);
+  watchlist = await loadWatchlist();
+  onWatchlistChanged((next) => {
+    watchlist = next;
+    renderWatchlistDock();
+  });
+  await loadBootstrap();
+  await recordPriceSnapshot();
+
+  // Preload ownership data for current event in background
+  if (Number.isFinite(Number(currentEventId))) {
+    debugLog("Preloading ownership data for event", currentEventId);
+    loadMiniLeagueOwnership(currentEventId).catch(e =>
+      debugLog("Preload ownership failed", e)
+    );
+    loadMyCurrentTeam(currentEventId).catch(e =>
+      debugLog("Preload my team failed", e)
+    );
+  }
+
+  await startLiveMode();
+  await scan();
+}
+
+init();
+
+// Pinned FT ledger popovers close on outside click or Escape; overlays close on Escape.
+document.addEventListener("click", (e) => {
+  const pop = document.querySelector(".fpl-ft-ledger");
+  if (pop && !pop.contains(e.target)) pop.remove();
+});
+function isEditableTarget(target) {
+  if (!(target instanceof Element) || target.closest(".fpl-search-palette")) return false;
+  return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+}
+
+document.addEventListener("keydown", (e) => {
+  // Autofill sends keydown events without a key.
+  if (typeof e.key !== "string") return;
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k" && !isEditableTarget(e.target)) {
+    e.preventDefault();
+    if (document.querySelector(".fpl-search-palette")) closeSearchPalette();
+    else openSearchPalette();
+    return;
+  }
+  if (e.key !== "Escape") return;
+  closeFreeTransferLedger();
+  closeFixtureTicker();
+  closeComparisonOverlay();
+  closeSearchPalette();
+});
+
+// re-run on DOM updates (SPA)
+const observer = new MutationObserver((mutations) => {
+  if (!shouldScheduleFromMutations(mutations)) return;
+  scheduleScan();
+});
+
+observer.observe(document.body, {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ["data-fplxg-element"]
+});
 
 // extra rescans in case the pitch renders after initial load
 setTimeout(scheduleScan, 500);
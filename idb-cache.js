@@ -0,0 +1,88 @@
+// Persistent key/value cache on IndexedDB with per-entry expiry.
+// Loaded as a content script before content.js; every call degrades to a miss on failure.
+const PERSISTENT_CACHE_DB = "fplxg_cache_v1";
+const PERSISTENT_CACHE_STORE = "responses";
+
+let persistentCacheDbPending = null; // Promise<IDBDatabase|null>
+
+function openPersistentCache() {
+  if (persistentCacheDbPending) return persistentCacheDbPending;
+
+  persistentCacheDbPending = new Promise((resolve) => {
+    try {
+      const req = indexedDB.open(PERSISTENT_CACHE_DB, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PERSISTENT_CACHE_STORE)) {
+          const store = db.createObjectStore(PERSISTENT_CACHE_STORE, { keyPath: "key" });
+          store.createIndex("expiresAt", "expiresAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.error("openPersistentCache failed", req.error);
+        resolve(null);
+      };
+    } catch (e) {
+      console.error("openPersistentCache failed", e);
+      resolve(null);
+    }
+  });
+  return persistentCacheDbPending;
+}
+
+function persistentCacheRequest(mode, run) {
+  return openPersistentCache().then((db) => new Promise((resolve) => {
+    if (!db) {
+      resolve(null);
+      return;
+    }
+    try {
+      const tx = db.transaction(PERSISTENT_CACHE_STORE, mode);
+      const req = run(tx.objectStore(PERSISTENT_CACHE_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : null);
+      tx.onerror = () => resolve(null);
+      tx.onabort = () => resolve(null);
+    } catch (_) {
+      resolve(null);
+    }
+  }));
+}
+
+// Resolves to { value, storedAt }, or undefined when missing, expired or older than maxAgeMs
+// (the caller's current TTL, which may be shorter than the one the row was written with).
+async function persistentCacheGetEntry(key, now = Date.now(), maxAgeMs = Number.POSITIVE_INFINITY) {
+  const row = await persistentCacheRequest("readonly", (store) => store.get(key));
+  if (!row || !(Number(row.expiresAt) > now)) return undefined;
+  if (now - Number(row.storedAt) > maxAgeMs) return undefined;
+  return { value: row.value, storedAt: Number(row.storedAt) };
+}
+
+async function persistentCacheGet(key, now = Date.now(), maxAgeMs = Number.POSITIVE_INFINITY) {
+  return (await persistentCacheGetEntry(key, now, maxAgeMs))?.value;
+}
+
+async function persistentCacheSet(key, value, ttlMs) {
+  const ttl = Number(ttlMs);
+  if (!(ttl > 0)) return;
+  await persistentCacheRequest("readwrite", (store) => store.put({
+    key,
+    value,
+    storedAt: Date.now(),
+    expiresAt: Date.now() + ttl // Infinity for immutable data
+  }));
+}
+
+// Drops expired rows so the database does not grow across a season.
+async function persistentCachePrune(now = Date.now()) {
+  await persistentCacheRequest("readwrite", (store) => {
+    const req = store.index("expiresAt").openCursor(IDBKeyRange.upperBound(now));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  });
+}
@@ -0,0 +1,314 @@
+let currentSettings = normalizeSettings(null);
+let lastMyLeagues = []; // [{ id, name, isSystem }] from the last "Load my leagues"
+
+function setStatus(text) {
+  const el = document.getElementById("status");
+  if (el) el.textContent = text || "";
+}
+
+function leagueLabel(league) {
+  return league.name ? `${league.name} (${league.id})` : `League ${league.id}`;
+}
+
+async function persistLeagues(leagues) {
+  currentSettings = await saveSettings({ leagues });
+  renderTrackedLeagues();
+  renderMyLeagues(lastMyLeagues);
+}
+
+function renderTrackedLeagues() {
+  const wrap = document.getElementById("tracked-leagues");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+
+  const leagues = currentSettings.leagues;
+  if (leagues.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "muted";
+    empty.textContent = "No leagues tracked – ownership badges and insights are disabled.";
+    wrap.appendChild(empty);
+    return;
+  }
+
+  leagues.forEach((league, index) => {
+    const row = document.createElement("div");
+    row.className = "row";
+
+    const label = document.createElement("span");
+    label.className = "grow";
+    label.textContent = leagueLabel(league);
+    if (index === 0) {
+      const badge = document.createElement("span");
+      badge.className = "muted";
+      badge.textContent = " – default";
+      label.appendChild(badge);
+    }
+    row.appendChild(label);
+
+    const up = document.createElement("button");
+    up.className = "secondary";
+    up.textContent = "Make default";
+    up.disabled = index === 0;
+    up.addEventListener("click", () => {
+      const next = [league, ...leagues.filter((l) => l.id !== league.id)];
+      persistLeagues(next);
+    });
+    row.appendChild(up);
+
+    const remove = document.createElement("button");
+    remove.className = "secondary";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      persistLeagues(leagues.filter((l) => l.id !== league.id));
+    });
+    row.appendChild(remove);
+
+    wrap.appendChild(row);
+  });
+}
+
+async function fetchLeagueName(leagueId) {
+  try {
+    const data = await requestApiJson(`/leagues-classic/${leagueId}/standings/`, { credentials: "include" });
+    const name = String(data?.league?.name || "").trim();
+    return name || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function addLeagueById() {
+  const input = document.getElementById("league-id-input");
+  const id = Number(input?.value);
+  if (!Number.isFinite(id) || id < 1) {
+    setStatus("Enter a valid league ID.");
+    return;
+  }
+  if (currentSettings.leagues.some((l) => l.id === id)) {
+    setStatus(`League ${id} is already tracked.`);
+    return;
+  }
+
+  setStatus(`Looking up league ${id}…`);
+  const name = await fetchLeagueName(id);
+  if (!name) {
+    setStatus(`Could not load league ${id}; added it anyway.`);
+  } else {
+    setStatus(`Added ${name}.`);
+  }
+  await persistLeagues([...currentSettings.leagues, { id, name: name || "" }]);
+  if (input) input.value = "";
+}
+
+async function loadMyLeagues() {
+  setStatus("Loading your leagues…");
+  try {
+    const me = await requestApiJson("/me/", { credentials: "include" });
+    const entryId = Number(me?.player?.entry ?? me?.entry);
+    if (!Number.isFinite(entryId)) {
+      setStatus("Not logged in on fantasy.premierleague.com.");
+      return;
+    }
+
+    const entry = await requestApiJson(`/entry/${entryId}/`, { credentials: "include" });
+    const classic = Array.isArray(entry?.leagues?.classic) ? entry.leagues.classic : [];
+    lastMyLeagues = classic
+      .map((l) => ({
+        id: Number(l?.id),
+        name: String(l?.name || "").trim(),
+        isSystem: String(l?.league_type || "") === "s"
+      }))
+      .filter((l) => Number.isFinite(l.id));
+
+    setStatus(`Found ${lastMyLeagues.length} classic leagues.`);
+    renderMyLeagues(lastMyLeagues);
+  } catch (e) {
+    console.error("loadMyLeagues failed", e);
+    setStatus("Could not load your leagues. Are you logged in on fantasy.premierleague.com?");
+  }
+}
+
+function renderMyLeagues(list) {
+  const wrap = document.getElementById("my-leagues");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+
+  // Private leagues first; the big system leagues are too large to be useful rival sets.
+  const sorted = [...list].sort((a, b) => Number(a.isSystem) - Number(b.isSystem));
+  for (const league of sorted) {
+    const row = document.createElement("label");
+    row.className = "row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = currentSettings.leagues.some((l) => l.id === league.id);
+    checkbox.addEventListener("change", () => {
+      const without = currentSettings.leagues.filter((l) => l.id !== league.id);
+      persistLeagues(checkbox.checked
+        ? [...without, { id: league.id, name: league.name }]
+        : without);
+    });
+    row.appendChild(checkbox);
+
+    const label = document.createElement("span");
+    label.className = "grow";
+    label.textContent = leagueLabel(league);
+    row.appendChild(label);
+
+    if (league.isSystem) {
+      const tag = document.createElement("span");
+      tag.className = "muted";
+      tag.textContent = "global";
+      row.appendChild(tag);
+    }
+
+    wrap.appendChild(row);
+  }
+}
+
+function renderManualFreeTransfers() {
+  const state = document.getElementById("manual-ft-state");
+  if (!state) return;
+  const manual = currentSettings.manualFreeTransfers;
+  if (!manual || manual.expiresAt <= Date.now()) {
+    state.textContent = "No override active.";
+    return;
+  }
+  state.textContent = `Override active: ${manual.value} FT until ${new Date(manual.expiresAt).toLocaleString()}.`;
+}
+
+async function fetchNextDeadline() {
+  const data = await requestApiJson("/bootstrap-static/");
+  const events = Array.isArray(data?.events) ? data.events : [];
+  const next = events.find((e) => e && e.is_next);
+  const ms = Date.parse(String(next?.deadline_time || ""));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+async function applyManualFreeTransfers() {
+  const input = document.getElementById("manual-ft-input");
+  const value = Number(input?.value);
+  if (!Number.isInteger(value) || value < 0 || value > 5) {
+    setStatus("Free transfers must be a whole number between 0 and 5.");
+    return;
+  }
+
+  try {
+    const expiresAt = await fetchNextDeadline();
+    if (!Number.isFinite(expiresAt)) {
+      setStatus("No upcoming deadline found; override not saved.");
+      return;
+    }
+    currentSettings = await saveSettings({ manualFreeTransfers: { value, expiresAt } });
+    setStatus(`Override saved: ${value} FT.`);
+    renderManualFreeTransfers();
+  } catch (e) {
+    console.error("applyManualFreeTransfers failed", e);
+    setStatus("Could not load the next deadline; override not saved.");
+  }
+}
+
+async function clearManualFreeTransfers() {
+  currentSettings = await saveSettings({ manualFreeTransfers: null });
+  setStatus("Override cleared.");
+  renderManualFreeTransfers();
+}
+
+function renderCustomFdr() {
+  const input = document.getElementById("custom-fdr-input");
+  if (input) input.checked = currentSettings.customFdr;
+}
+
+async function saveCustomFdr(e) {
+  currentSettings = await saveSettings({ customFdr: Boolean(e.target.checked) });
+  setStatus(currentSettings.customFdr ? "Custom FDR enabled." : "Using FPL FDR.");
+}
+
+function renderFormWindow() {
+  const select = document.getElementById("form-window-input");
+  const ewma = document.getElementById("form-ewma-input");
+  if (select) select.value = String(currentSettings.formWindow);
+  if (ewma) ewma.checked = currentSettings.formWeighting === "ewma";
+}
+
+async function saveFormWindow() {
+  const select = document.getElementById("form-window-input");
+  const ewma = document.getElementById("form-ewma-input");
+  currentSettings = await saveSettings({
+    formWindow: Number(select?.value),
+    formWeighting: ewma?.checked ? "ewma" : "flat"
+  });
+  setStatus("Form window saved.");
+}
+
+const POSITION_NAMES = { 1: "Goalkeepers", 2: "Defenders", 3: "Midfielders", 4: "Forwards" };
+
+function renderBadgeMetrics() {
+  const wrap = document.getElementById("badge-metrics");
+  if (!wrap) return;
+  wrap.innerHTML = "";
+
+  for (const pos of [1, 2, 3, 4]) {
+    const column = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "muted";
+    title.textContent = POSITION_NAMES[pos];
+    column.appendChild(title);
+
+    const selected = currentSettings.badgeMetrics[pos] || [];
+    for (const metric of BADGE_METRICS.filter((m) => m.positions.includes(pos))) {
+      const row = document.createElement("label");
+      row.className = "row";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = selected.includes(metric.key);
+      checkbox.addEventListener("change", async () => {
+        const current = currentSettings.badgeMetrics[pos] || [];
+        const next = checkbox.checked
+          ? [...current, metric.key]
+          : current.filter((key) => key !== metric.key);
+        currentSettings = await saveSettings({ badgeMetrics: { ...currentSettings.badgeMetrics, [pos]: next } });
+        setStatus(`${POSITION_NAMES[pos]} badge stats saved.`);
+      });
+      row.appendChild(checkbox);
+      const label = document.createElement("span");
+      label.className = "grow";
+      label.textContent = metric.label;
+      row.appendChild(label);
+      column.appendChild(row);
+    }
+    wrap.appendChild(column);
+  }
+}
+
+async function initOptions() {
+  currentSettings = await loadSettings();
+  renderTrackedLeagues();
+  renderManualFreeTransfers();
+  renderCustomFdr();
+  renderFormWindow();
+  renderBadgeMetrics();
+
+  document.getElementById("league-id-add")?.addEventListener("click", addLeagueById);
+  document.getElementById("league-id-input")?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addLeagueById();
+  });
+  document.getElementById("my-leagues-load")?.addEventListener("click", loadMyLeagues);
+  document.getElementById("manual-ft-apply")?.addEventListener("click", applyManualFreeTransfers);
+  document.getElementById("manual-ft-clear")?.addEventListener("click", clearManualFreeTransfers);
+  document.getElementById("custom-fdr-input")?.addEventListener("change", saveCustomFdr);
+  document.getElementById("form-window-input")?.addEventListener("change", saveFormWindow);
+  document.getElementById("form-ewma-input")?.addEventListener("change", saveFormWindow);
+
+  onSettingsChanged((next) => {
+    currentSettings = next;
+    renderTrackedLeagues();
+    renderMyLeagues(lastMyLeagues);
+    renderManualFreeTransfers();
+    renderCustomFdr();
+    renderFormWindow();
+    renderBadgeMetrics();
+  });
+}
+
+initOptions();
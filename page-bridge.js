@@ -0,0 +1,57 @@
+// Runs in the page's own JS world (see manifest) because React props are invisible to
+// the isolated content script. Copies the FPL element id behind each pitch element onto
+// the DOM as data-fplxg-element, which content.js prefers over name matching.
+// Wrapped so nothing leaks into the page's globals.
+(() => {
+  const BRIDGE_PITCH_SELECTOR = '[data-testid="pitch-element"], [data-testid*="pitch-element"], [class*="PitchElement"], [class*="pitchElement"]';
+  const BRIDGE_MAX_FIBER_DEPTH = 15;
+  const BRIDGE_DELAY_MS = 300;
+
+  let bridgeTimer = null;
+
+  function readElementIdFromProps(props) {
+    if (!props || typeof props !== "object") return null;
+    const candidates = [
+      props.elementId,
+      typeof props.element === "object" ? props.element?.id : props.element,
+      props.pick?.element,
+      props.player?.id,
+      props.data?.element
+    ];
+    const id = candidates.map((v) => Number(v)).find((v) => Number.isInteger(v) && v > 0);
+    return id ?? null;
+  }
+
+  function findElementIdForNode(node) {
+    const fiberKey = Object.keys(node).find((k) => k.startsWith("__reactFiber$"));
+    let fiber = fiberKey ? node[fiberKey] : null;
+    for (let depth = 0; fiber && depth < BRIDGE_MAX_FIBER_DEPTH; depth += 1) {
+      const id = readElementIdFromProps(fiber.memoizedProps);
+      if (id) return id;
+      fiber = fiber.return;
+    }
+    return null;
+  }
+
+  function tagPitchElements() {
+    for (const node of document.querySelectorAll(BRIDGE_PITCH_SELECTOR)) {
+      try {
+        const id = findElementIdForNode(node);
+        if (id && node.dataset.fplxgElement !== String(id)) node.dataset.fplxgElement = String(id);
+      } catch (_) {
+        // React internals are not a stable API; name matching still works without them.
+      }
+    }
+  }
+
+  function scheduleTagPitchElements() {
+    if (bridgeTimer) return;
+    bridgeTimer = setTimeout(() => {
+      bridgeTimer = null;
+      tagPitchElements();
+    }, BRIDGE_DELAY_MS);
+  }
+
+  new MutationObserver(scheduleTagPitchElements).observe(document.body, { childList: true, subtree: true });
+  scheduleTagPitchElements();
+})();
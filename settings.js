@@ -0,0 +1,146 @@
+// Shared between the content script and the options page (both load this file first).
+const SETTINGS_STORAGE_KEY = "fplxg_settings_v1";
+// Selectable badge stats per position (element_type 1 GK, 2 DEF, 3 MID, 4 FWD). Keys are
+// loadPlayerData fields. FPL publishes no shots or key passes, so threat and creativity
+// stand in for them, and no penalty xG, so there is no npxG – xG includes penalties.
+const BADGE_METRICS = [
+  { key: "csForm", label: "Clean sheets", short: "CS", positions: [1, 2, 3] },
+  { key: "dc10Form", label: "Matches with 10+ defensive contributions", short: "DC", positions: [2, 3, 4] },
+  { key: "savePointsForm", label: "Save points", short: "SP", positions: [1] },
+  { key: "savesPerMatch", label: "Saves per match", short: "Saves/match", positions: [1] },
+  { key: "xgcPerMatch", label: "xGC per match", short: "xGC/match", positions: [1, 2] },
+  { key: "xgc90", label: "xGC per 90", short: "xGC/90", positions: [1, 2] },
+  { key: "xgi90", label: "xGI per 90", short: "xGI/90", positions: [2, 3, 4] },
+  { key: "xg90", label: "xG per 90 (incl. penalties – FPL has no npxG)", short: "xG/90", positions: [2, 3, 4] },
+  { key: "xa90", label: "xA per 90", short: "xA/90", positions: [2, 3, 4] },
+  { key: "threat90", label: "Threat per 90 (shots proxy)", short: "Threat/90", positions: [2, 3, 4] },
+  { key: "creativity90", label: "Creativity per 90 (key-pass proxy)", short: "Creat/90", positions: [2, 3, 4] },
+  { key: "ictPerMatch", label: "ICT index per match", short: "ICT/match", positions: [1, 2, 3, 4] },
+  { key: "bonusPerMatch", label: "Bonus per match", short: "Bonus/match", positions: [1, 2, 3, 4] },
+  { key: "minutesSecurity", label: "Minutes security (60+ min share)", short: "60+", positions: [1, 2, 3, 4] }
+];
+const BADGE_METRIC_DEFAULTS = {
+  1: ["csForm", "savePointsForm", "xgcPerMatch"],
+  2: ["csForm", "dc10Form"],
+  3: ["xgi90"],
+  4: ["xgi90"]
+};
+
+const FORM_WINDOWS = [3, 5, 10, 0]; // matches in the badge form window; 0 = whole season
+
+const SETTINGS_DEFAULTS = {
+  leagues: [{ id: 244800, name: "" }], // tracked classic leagues; first one is the default
+  manualFreeTransfers: null, // { value: 0-5, expiresAt: ms } – own-entry FT override until the next deadline
+  customFdr: true, // attack/defence FDR computed from results instead of FPL's difficulty
+  formWindow: 5, // played matches behind badge form stats: 3, 5, 10 or 0 for the whole season
+  formWeighting: "flat", // "flat" | "ewma" (recent matches weigh more)
+  badgeMetrics: BADGE_METRIC_DEFAULTS // element_type -> ordered metric keys shown on badges
+};
+
+function normalizeLeagueList(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const out = [];
+  for (const item of list) {
+    const id = Number(typeof item === "object" && item ? item.id : item);
+    if (!Number.isFinite(id) || id < 1 || seen.has(id)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      name: String((typeof item === "object" && item ? item.name : "") || "").trim()
+    });
+  }
+  return out;
+}
+
+function normalizeManualFreeTransfers(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const value = Number(raw.value);
+  const expiresAt = Number(raw.expiresAt);
+  if (!Number.isInteger(value) || value < 0 || value > 5) return null;
+  if (!Number.isFinite(expiresAt)) return null;
+  return { value, expiresAt };
+}
+
+function normalizeBadgeMetrics(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const pos of [1, 2, 3, 4]) {
+    const list = Array.isArray(src[pos]) ? src[pos] : BADGE_METRIC_DEFAULTS[pos];
+    out[pos] = list.filter((key, i) => list.indexOf(key) === i
+      && BADGE_METRICS.some((m) => m.key === key && m.positions.includes(pos)));
+  }
+  return out;
+}
+
+function normalizeSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const leagues = Array.isArray(src.leagues)
+    ? normalizeLeagueList(src.leagues)
+    : normalizeLeagueList(SETTINGS_DEFAULTS.leagues);
+  return {
+    leagues,
+    manualFreeTransfers: normalizeManualFreeTransfers(src.manualFreeTransfers),
+    customFdr: typeof src.customFdr === "boolean" ? src.customFdr : SETTINGS_DEFAULTS.customFdr,
+    formWindow: FORM_WINDOWS.includes(Number(src.formWindow)) ? Number(src.formWindow) : SETTINGS_DEFAULTS.formWindow,
+    formWeighting: src.formWeighting === "ewma" ? "ewma" : SETTINGS_DEFAULTS.formWeighting,
+    badgeMetrics: normalizeBadgeMetrics(src.badgeMetrics)
+  };
+}
+
+async function loadSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+    return normalizeSettings(stored?.[SETTINGS_STORAGE_KEY]);
+  } catch (e) {
+    console.error("loadSettings failed", e);
+    return normalizeSettings(null);
+  }
+}
+
+async function saveSettings(patch) {
+  const current = await loadSettings();
+  const next = normalizeSettings({ ...current, ...patch });
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: next });
+  return next;
+}
+
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "sync" || !changes[SETTINGS_STORAGE_KEY]) return;
+    callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+  });
+}
+
+// Watchlist lives under its own key so toggling a player does not look like a settings change.
+const WATCHLIST_STORAGE_KEY = "fplxg_watchlist_v1";
+
+function normalizeWatchlist(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  return list
+    .map((id) => Number(id))
+    .filter((id, i, arr) => Number.isInteger(id) && id > 0 && arr.indexOf(id) === i);
+}
+
+async function loadWatchlist() {
+  try {
+    const stored = await chrome.storage.sync.get(WATCHLIST_STORAGE_KEY);
+    return normalizeWatchlist(stored?.[WATCHLIST_STORAGE_KEY]);
+  } catch (e) {
+    console.error("loadWatchlist failed", e);
+    return [];
+  }
+}
+
+async function saveWatchlist(ids) {
+  const next = normalizeWatchlist(ids);
+  await chrome.storage.sync.set({ [WATCHLIST_STORAGE_KEY]: next });
+  return next;
+}
+
+function onWatchlistChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "sync" || !changes[WATCHLIST_STORAGE_KEY]) return;
+    callback(normalizeWatchlist(changes[WATCHLIST_STORAGE_KEY].newValue));
+  });
+}